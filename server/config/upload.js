@@ -0,0 +1,108 @@
+const multer = require('multer');
+const storage = require('../services/storage');
+
+const documentTypes = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain'
+];
+
+const documentFormats = ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx', 'txt'];
+
+// unique file name with a prefix, e.g. assignment-1700000000000-123456789
+const uniqueName = (prefix) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}-${uniqueSuffix}`;
+};
+
+// file filter for validation
+const fileFilter = (req, file, cb) => {
+  if (documentTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type ${file.mimetype} is not supported`), false);
+  }
+};
+
+// file filter for student submissions (same documents as assignments, plus zip archives)
+const submissionFileFilter = (req, file, cb) => {
+  const allowedTypes = [...documentTypes, 'application/zip', 'application/x-zip-compressed'];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`File type ${file.mimetype} is not supported for submissions`), false);
+  }
+};
+
+// upload instance for assignment materials (teachers only)
+const uploadAssignment = multer({
+  storage: storage.createEngine({
+    folder: 'collab-learning/assignments',
+    allowedFormats: documentFormats,
+    publicId: () => uniqueName('assignment')
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: fileFilter
+});
+
+// upload instance for classroom materials (teachers only)
+const uploadMaterial = multer({
+  storage: storage.createEngine({
+    folder: 'collab-learning/materials',
+    allowedFormats: documentFormats,
+    publicId: () => uniqueName('material')
+  }),
+  limits: {
+    fileSize: 25 * 1024 * 1024 // 25MB
+  },
+  fileFilter: fileFilter
+});
+
+// upload instance for student submissions, one folder per assignment
+const uploadSubmission = multer({
+  storage: storage.createEngine({
+    folder: (req) => `collab-learning/submissions/${req.params.assignmentId}`,
+    allowedFormats: [...documentFormats, 'zip'],
+    publicId: (req) => uniqueName(`submission-${req.user.id}`)
+  }),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+    files: 5
+  },
+  fileFilter: submissionFileFilter
+});
+
+// CSV imports are parsed in memory and never stored
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  },
+  fileFilter: (req, file, cb) => {
+    const csvTypes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+    if (csvTypes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Please upload a CSV file'), false);
+    }
+  }
+});
+
+module.exports = {
+  uploadAssignment,
+  uploadMaterial,
+  uploadSubmission,
+  uploadCsv
+};
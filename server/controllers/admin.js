@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const { revokeSessions } = require('../services/session');
+
+const ROLES = ['student', 'teacher', 'admin'];
+
+// match user input literally inside a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// page and limit from the query string
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// user fields admins can see
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  teacherStatus: user.teacherStatus,
+  isEmailVerified: user.isEmailVerified,
+  isPending: user.isPending,
+  isSuspended: user.isSuspended,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  classroomCount: user.classrooms.length,
+  createdAt: user.createdAt
+});
+
+// load the target user, refusing actions on the admin's own account
+const findTargetUser = async (req, res) => {
+  if (req.params.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account here'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (Admin only)
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    if (role) {
+      filter.role = role;
+    }
+
+    // status: active, suspended, or pending (teachers waiting for approval)
+    if (status === 'suspended') {
+      filter.isSuspended = true;
+    } else if (status === 'active') {
+      filter.isSuspended = { $ne: true };
+    } else if (status === 'pending') {
+      filter.role = 'teacher';
+      filter.teacherStatus = 'pending';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort('-createdAt').skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      users: users.map(formatUser)
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single user with their classrooms
+// @route   GET /api/admin/users/:id
+// @access  Private (Admin only)
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate('classrooms', 'name subject classCode teacher isActive');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: {
+        ...formatUser(user),
+        classrooms: user.classrooms
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Suspend a user (signs them out everywhere)
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private (Admin only)
+exports.suspendUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    user.isSuspended = true;
+    user.suspendedAt = Date.now();
+    user.suspendedReason = req.body.reason;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeSessions(user._id, 'suspended');
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lift a suspension
+// @route   PUT /api/admin/users/:id/unsuspend
+// @access  Private (Admin only)
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.isSuspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Suspension lifted successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error lifting suspension',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (Admin only)
+exports.changeRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${role}`
+      });
+    }
+
+    // a teacher's classrooms would be left without anyone to run them
+    if (user.role === 'teacher') {
+      const teaching = await Classroom.countDocuments({ teacher: user._id });
+      if (teaching > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `User still owns ${teaching} classroom(s); transfer or delete them first`
+        });
+      }
+
+      // co-teacher and TA places need a teacher account
+      const staffed = await Classroom.find({ 'staff.user': user._id }).select('_id');
+      if (staffed.length > 0) {
+        await Classroom.updateMany(
+          { 'staff.user': user._id },
+          { $pull: { staff: { user: user._id } } }
+        );
+        user.classrooms = user.classrooms.filter(
+          id => !staffed.some(classroom => classroom._id.equals(id))
+        );
+      }
+    }
+
+    user.role = role;
+    // teachers made by an admin don't need separate approval
+    if (role === 'teacher') {
+      user.teacherStatus = 'approved';
+      user.teacherReviewedBy = req.user.id;
+      user.teacherReviewedAt = Date.now();
+    }
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: `User is now a ${role}`,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a teacher account
+// @route   PUT /api/admin/users/:id/teacher-approval
+// @access  Private (Admin only)
+exports.reviewTeacher = async (req, res) => {
+  try {
+    const { approved } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide approved as true or false'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role !== 'teacher') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only teacher accounts need approval'
+      });
+    }
+
+    user.teacherStatus = approved ? 'approved' : 'rejected';
+    user.teacherReviewedBy = req.user.id;
+    user.teacherReviewedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Teacher account approved' : 'Teacher account rejected',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Review teacher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing teacher account',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List every classroom in the institution
+// @route   GET /api/admin/classrooms
+// @access  Private (Admin only)
+exports.getAllClassrooms = async (req, res) => {
+  try {
+    const { search, teacher, isActive } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { name: pattern },
+        { subject: pattern },
+        { classCode: pattern }
+      ];
+    }
+
+    if (teacher) {
+      if (!mongoose.isValidObjectId(teacher)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid teacher ID'
+        });
+      }
+      filter.teacher = teacher;
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const [classrooms, total] = await Promise.all([
+      Classroom.find(filter)
+        .select('name description subject classCode teacher students isActive createdAt')
+        .populate('teacher', 'username email firstName lastName')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Classroom.countDocuments(filter)
+    ]);
+
+    // assignment counts for this page of classrooms
+    const assignmentCounts = await Assignment.aggregate([
+      { $match: { classroom: { $in: classrooms.map(classroom => classroom._id) } } },
+      { $group: { _id: '$classroom', count: { $sum: 1 } } }
+    ]);
+    const countByClassroom = new Map(
+      assignmentCounts.map(item => [item._id.toString(), item.count])
+    );
+
+    res.status(200).json({
+      success: true,
+      count: classrooms.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      classrooms: classrooms.map(classroom => ({
+        id: classroom._id,
+        name: classroom.name,
+        description: classroom.description,
+        subject: classroom.subject,
+        classCode: classroom.classCode,
+        teacher: classroom.teacher,
+        isActive: classroom.isActive,
+        studentCount: classroom.students.length,
+        assignmentCount: countByClassroom.get(classroom._id.toString()) || 0,
+        createdAt: classroom.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get classrooms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching classrooms',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,427 @@
+const Classroom = require('../models/Classroom');
+const { emitToClassroom } = require('../services/realtime');
+const { can, isStaff, isArchived } = require('../utils/permissions');
+
+// shape an announcement for the response, adding read info for the current user
+// only staff see who has read it (showReaders); everyone else gets the count
+const formatAnnouncement = (announcement, userId, showReaders = false) => {
+  const data = announcement.toObject();
+  data.readCount = announcement.readBy.length;
+  data.isRead = announcement.readBy.some(
+    entry => entry.user && entry.user.toString() === userId
+  );
+  if (!showReaders) {
+    delete data.readBy;
+  }
+  return data;
+};
+
+// @desc    Get announcements for a classroom (pinned first, newest first)
+// @route   GET /api/classrooms/:id/announcements
+// @access  Private (Teacher or enrolled student)
+exports.getAnnouncements = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .populate('announcements.author', 'username firstName lastName');
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // check if user has access to this classroom
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const sorted = [...classroom.announcements].sort((a, b) => {
+      if (a.isPinned !== b.isPinned) {
+        return a.isPinned ? -1 : 1;
+      }
+      return b.createdAt - a.createdAt;
+    });
+
+    const showReaders = isStaff(classroom, req.user.id);
+    let announcements = sorted.map(announcement =>
+      formatAnnouncement(announcement, req.user.id, showReaders)
+    );
+
+    // students can filter down to announcements they haven't read yet
+    if (req.query.unread === 'true') {
+      announcements = announcements.filter(announcement => !announcement.isRead);
+    }
+
+    const total = announcements.length;
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      success: true,
+      count: Math.max(Math.min(limit, total - start), 0),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      announcements: announcements.slice(start, start + limit)
+    });
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching announcements',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single announcement
+// @route   GET /api/classrooms/:id/announcements/:announcementId
+// @access  Private (Teacher or enrolled student)
+exports.getAnnouncement = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .populate('announcements.author', 'username firstName lastName');
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    const announcement = classroom.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      announcement: formatAnnouncement(announcement, req.user.id, isStaff(classroom, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching announcement',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create announcement
+// @route   POST /api/classrooms/:id/announcements
+// @access  Private (Classroom teacher only)
+exports.createAnnouncement = async (req, res) => {
+  try {
+    const { title, content, isPinned } = req.body;
+
+    if (!title || !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide title and content'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // check if user is the teacher of this classroom
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can post announcements'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    classroom.announcements.push({
+      title,
+      content,
+      isPinned: isPinned || false,
+      author: req.user.id
+    });
+    await classroom.save();
+
+    const announcement = classroom.announcements[classroom.announcements.length - 1];
+    await classroom.populate('announcements.author', 'username firstName lastName');
+
+    emitToClassroom(classroom._id, 'announcement:created', formatAnnouncement(announcement));
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement created successfully',
+      announcement: formatAnnouncement(announcement, req.user.id, true)
+    });
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating announcement',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update announcement
+// @route   PUT /api/classrooms/:id/announcements/:announcementId
+// @access  Private (Classroom teacher only)
+exports.updateAnnouncement = async (req, res) => {
+  try {
+    const { title, content, isPinned } = req.body;
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can edit announcements'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const announcement = classroom.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (title !== undefined) announcement.title = title;
+    if (content !== undefined) announcement.content = content;
+    if (isPinned !== undefined) announcement.isPinned = isPinned;
+    announcement.updatedAt = Date.now();
+    await classroom.save();
+
+    await classroom.populate('announcements.author', 'username firstName lastName');
+
+    emitToClassroom(classroom._id, 'announcement:updated', formatAnnouncement(announcement));
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement updated successfully',
+      announcement: formatAnnouncement(announcement, req.user.id, true)
+    });
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating announcement',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pin or unpin announcement
+// @route   PUT /api/classrooms/:id/announcements/:announcementId/pin
+// @access  Private (Classroom teacher only)
+exports.pinAnnouncement = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can pin announcements'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const announcement = classroom.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    // toggle unless an explicit value is given
+    announcement.isPinned = req.body.isPinned !== undefined
+      ? Boolean(req.body.isPinned)
+      : !announcement.isPinned;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: announcement.isPinned ? 'Announcement pinned' : 'Announcement unpinned',
+      announcement: formatAnnouncement(announcement, req.user.id, true)
+    });
+  } catch (error) {
+    console.error('Pin announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pinning announcement',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark announcement as read
+// @route   POST /api/classrooms/:id/announcements/:announcementId/read
+// @access  Private (Enrolled student only)
+exports.markAnnouncementRead = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    const isStudent = classroom.students.some(
+      student => student.toString() === req.user.id
+    );
+
+    if (!isStudent) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this classroom'
+      });
+    }
+
+    const announcement = classroom.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const alreadyRead = announcement.readBy.some(
+      entry => entry.user && entry.user.toString() === req.user.id
+    );
+
+    if (!alreadyRead) {
+      announcement.readBy.push({ user: req.user.id });
+      await classroom.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement marked as read'
+    });
+  } catch (error) {
+    console.error('Mark announcement read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking announcement as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete announcement
+// @route   DELETE /api/classrooms/:id/announcements/:announcementId
+// @access  Private (Classroom teacher only)
+exports.deleteAnnouncement = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can delete announcements'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const announcement = classroom.announcements.id(req.params.announcementId);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    announcement.deleteOne();
+    await classroom.save();
+
+    emitToClassroom(classroom._id, 'announcement:deleted', { id: announcement._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting announcement',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,30 @@
 const Assignment = require('../models/Assignment');
 const Classroom = require('../models/Classroom');
+const Extension = require('../models/Extension');
+const { validateRubric } = require('../utils/rubric');
+const { can, roleIn, isArchived } = require('../utils/permissions');
+const { closePublishedAssignment, publishDraftAssignment } = require('../jobs/assignmentSchedule');
+
+// fields teachers can change with updateAssignment (status goes through publish/close)
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'totalPoints',
+  'instructions',
+  'allowLateSubmission',
+  'lateSubmissionPenalty',
+  'latePenaltyUnit',
+  'maxLatePenalty',
+  'lateGracePeriodMinutes',
+  'lateCutoffDate',
+  'maxResubmissions',
+  'rubric',
+  'category',
+  'publishAt',
+  'closeAt',
+  'attachments'
+];
 
 // @desc    Create new assignment
 // @route   POST /api/assignments
@@ -15,6 +40,15 @@ exports.createAssignment = async (req, res) => {
       instructions,
       allowLateSubmission,
       lateSubmissionPenalty,
+      latePenaltyUnit,
+      maxLatePenalty,
+      lateGracePeriodMinutes,
+      lateCutoffDate,
+      maxResubmissions,
+      rubric,
+      category,
+      publishAt,
+      closeAt,
       attachments
     } = req.body;
 
@@ -26,6 +60,31 @@ exports.createAssignment = async (req, res) => {
       });
     }
 
+    // scheduled close must come after scheduled publish
+    if (publishAt && closeAt && new Date(closeAt) <= new Date(publishAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Close time must be after publish time'
+      });
+    }
+
+    // the hard cutoff can't come before the due date
+    if (lateCutoffDate && new Date(lateCutoffDate) < new Date(dueDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Late cutoff date must be after the due date'
+      });
+    }
+
+    // rubric criteria can't add up to more than the assignment is worth
+    const rubricError = validateRubric(rubric, totalPoints || 100);
+    if (rubricError) {
+      return res.status(400).json({
+        success: false,
+        message: rubricError
+      });
+    }
+
     // check if classroom exists
     const classroomDoc = await Classroom.findById(classroom);
     if (!classroomDoc) {
@@ -35,14 +94,29 @@ exports.createAssignment = async (req, res) => {
       });
     }
 
-    // check if user is the teacher of this classroom
-    if (classroomDoc.teacher.toString() !== req.user.id) {
+    // check if user can add assignments to this classroom
+    if (!can(classroomDoc, req.user.id, 'manageAssignments')) {
       return res.status(403).json({
         success: false,
         message: 'Only the classroom teacher can create assignments'
       });
     }
 
+    if (isArchived(classroomDoc)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // category must be one of the classroom's grade categories
+    if (category && !classroomDoc.gradeCategories.id(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grade category not found in this classroom'
+      });
+    }
+
     // create assignment
     const assignment = await Assignment.create({
       title,
@@ -54,6 +128,15 @@ exports.createAssignment = async (req, res) => {
       instructions,
       allowLateSubmission: allowLateSubmission || false,
       lateSubmissionPenalty: lateSubmissionPenalty || 0,
+      latePenaltyUnit: latePenaltyUnit || 'day',
+      maxLatePenalty: maxLatePenalty === undefined ? 100 : maxLatePenalty,
+      lateGracePeriodMinutes: lateGracePeriodMinutes || 0,
+      lateCutoffDate,
+      maxResubmissions: maxResubmissions === undefined ? null : maxResubmissions,
+      rubric: rubric || [],
+      category: category || undefined,
+      publishAt,
+      closeAt,
       attachments: attachments || []
     });
 
@@ -92,22 +175,17 @@ exports.getClassroomAssignments = async (req, res) => {
       });
     }
 
-    const isTeacher = classroom.teacher.toString() === req.user.id;
-    const isStudent = classroom.students.some(
-      student => student.toString() === req.user.id
-    );
-
-    if (!isTeacher && !isStudent) {
+    if (!can(classroom, req.user.id, 'view')) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this classroom'
       });
     }
 
-    // students only see published assignments
+    // students only see published (and closed) assignments
     const filter = { classroom: classroomId };
     if (req.user.role === 'student') {
-      filter.status = 'published';
+      filter.status = { $in: ['published', 'closed'] };
     }
 
     const assignments = await Assignment.find(filter)
@@ -147,30 +225,30 @@ exports.getAssignment = async (req, res) => {
 
     // check access
     const classroom = await Classroom.findById(assignment.classroom._id);
-    const isTeacher = classroom.teacher.toString() === req.user.id;
-    const isStudent = classroom.students.some(
-      student => student.toString() === req.user.id
-    );
+    const isStudent = roleIn(classroom, req.user.id) === 'student';
 
-    if (!isTeacher && !isStudent) {
+    if (!can(classroom, req.user.id, 'view')) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this assignment'
       });
     }
 
-    // Students can only see published assignments
-    if (req.user.role === 'student' && assignment.status !== 'published') {
+    // Students can only see published (and closed) assignments
+    if (req.user.role === 'student' && assignment.status === 'draft') {
       return res.status(403).json({
         success: false,
         message: 'This assignment is not published yet'
       });
     }
 
-    res.status(200).json({
-      success: true,
-      assignment
-    });
+    // students also get their own due date once extensions are applied
+    const response = { success: true, assignment };
+    if (isStudent) {
+      response.effectiveDueDate = await Extension.effectiveDueDate(assignment, req.user.id);
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     console.error('Get assignment error:', error);
     res.status(500).json({
@@ -195,21 +273,98 @@ exports.updateAssignment = async (req, res) => {
       });
     }
 
-    // check if user is the teacher who created it
-    if (assignment.teacher.toString() !== req.user.id) {
+    // check if user can manage the classroom's assignments
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can update this assignment'
+      });
+    }
+
+    if (isArchived(classroom)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the assignment creator can update it'
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // only draft -> published and published -> closed, so students are notified as usual
+    const { status } = req.body;
+    const statusChange = status !== undefined && status !== assignment.status ? status : null;
+    if (statusChange) {
+      const allowed = (assignment.status === 'draft' && statusChange === 'published') ||
+        (assignment.status === 'published' && statusChange === 'closed');
+      if (!allowed) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change an assignment from ${assignment.status} to ${statusChange}`
+        });
+      }
+    }
+
+    // scheduled close must come after scheduled publish
+    const nextPublishAt = req.body.publishAt !== undefined ? req.body.publishAt : assignment.publishAt;
+    const nextCloseAt = req.body.closeAt !== undefined ? req.body.closeAt : assignment.closeAt;
+    if (nextPublishAt && nextCloseAt && new Date(nextCloseAt) <= new Date(nextPublishAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Close time must be after publish time'
       });
     }
 
+    // the hard cutoff can't come before the due date
+    const nextDueDate = req.body.dueDate || assignment.dueDate;
+    const nextCutoff = req.body.lateCutoffDate !== undefined ? req.body.lateCutoffDate : assignment.lateCutoffDate;
+    if (nextCutoff && new Date(nextCutoff) < new Date(nextDueDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Late cutoff date must be after the due date'
+      });
+    }
+
+    // category must be one of the classroom's grade categories
+    if (req.body.category) {
+      if (!classroom.gradeCategories.id(req.body.category)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Grade category not found in this classroom'
+        });
+      }
+    }
+
+    // check the rubric against the (possibly updated) total points
+    if (req.body.rubric !== undefined || req.body.totalPoints !== undefined) {
+      const rubricError = validateRubric(
+        req.body.rubric !== undefined ? req.body.rubric : assignment.rubric,
+        req.body.totalPoints !== undefined ? req.body.totalPoints : assignment.totalPoints
+      );
+      if (rubricError) {
+        return res.status(400).json({
+          success: false,
+          message: rubricError
+        });
+      }
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
     // update assignment
     assignment = await Assignment.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
+    if (statusChange === 'published') {
+      assignment = (await publishDraftAssignment(assignment._id, new Date())) || assignment;
+    } else if (statusChange === 'closed') {
+      assignment = (await closePublishedAssignment(assignment._id, new Date())) || assignment;
+    }
+
     res.status(200).json({
       success: true,
       message: 'Assignment updated successfully',
@@ -239,11 +394,19 @@ exports.deleteAssignment = async (req, res) => {
       });
     }
 
-    // check if user is the teacher who created it
-    if (assignment.teacher.toString() !== req.user.id) {
+    // check if user can manage the classroom's assignments
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments')) {
       return res.status(403).json({
         success: false,
-        message: 'Only the assignment creator can delete it'
+        message: 'Only classroom teachers can delete this assignment'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
       });
     }
 
@@ -269,7 +432,7 @@ exports.deleteAssignment = async (req, res) => {
   }
 };
 
-// @desc    Publish assignment (change status to published)
+// @desc    Publish assignment now, or schedule it with publishAt
 // @route   PUT /api/assignments/:id/publish
 // @access  Private (Teacher only)
 exports.publishAssignment = async (req, res) => {
@@ -283,22 +446,63 @@ exports.publishAssignment = async (req, res) => {
       });
     }
 
-    // check if user is the teacher who created it
-    if (assignment.teacher.toString() !== req.user.id) {
+    // check if user can manage the classroom's assignments
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can publish this assignment'
+      });
+    }
+
+    if (isArchived(classroom)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the assignment creator can publish it'
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    if (assignment.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Assignment is already ${assignment.status}`
+      });
+    }
+
+    // a future publishAt schedules the assignment instead of publishing it now
+    const { publishAt } = req.body;
+    if (publishAt && new Date(publishAt) > new Date()) {
+      if (assignment.closeAt && assignment.closeAt <= new Date(publishAt)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Publish time must be before the close time'
+        });
+      }
+
+      assignment.publishAt = publishAt;
+      await assignment.save();
+
+      return res.status(200).json({
+        success: true,
+        message: `Assignment scheduled to publish at ${assignment.publishAt.toISOString()}`,
+        assignment
       });
     }
 
-    assignment.status = 'published';
-    assignment.publishedAt = new Date();
-    await assignment.save();
+    // only notify if this request (not the scheduler) did the publishing
+    const published = await publishDraftAssignment(assignment._id, new Date());
+
+    if (!published) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment has already been published'
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Assignment published successfully',
-      assignment
+      assignment: published
     });
   } catch (error) {
     console.error('Publish assignment error:', error);
@@ -308,4 +512,58 @@ exports.publishAssignment = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// @desc    Close assignment (stop accepting submissions)
+// @route   PUT /api/assignments/:id/close
+// @access  Private (Teacher only)
+exports.closeAssignment = async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    // check if user can manage the classroom's assignments
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can close this assignment'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const closed = await closePublishedAssignment(assignment._id, new Date());
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only published assignments can be closed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment closed successfully',
+      assignment: closed
+    });
+  } catch (error) {
+    console.error('Close assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing assignment',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
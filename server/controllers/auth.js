@@ -1,11 +1,23 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const {
+  ACCESS_TOKEN_EXPIRE,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessions
+} = require('../services/session');
+const { queueEmail } = require('../services/email');
 
-// generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
+// when true, login (and register) only hand out tokens once the email is verified
+const requireVerifiedEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// send a fresh verification link
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await queueEmail(user.email, 'verifyEmail', { user, token }, user._id);
 };
 
 // @desc    Register new user
@@ -23,11 +35,27 @@ exports.register = async (req, res) => {
       });
     }
 
+    // admins are only made by other admins
+    if (role && !['student', 'teacher'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be student or teacher'
+      });
+    }
+
     // check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
     });
 
+    // a teacher's roster import may have set the account up already
+    if (existingUser && existingUser.isPending && existingUser.email === email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account was already created for this email; use the link in your invitation email or reset your password'
+      });
+    }
+
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -41,17 +69,36 @@ exports.register = async (req, res) => {
       email,
       password,
       role: role || 'student',
+      // teacher accounts wait for an admin to approve them
+      teacherStatus: role === 'teacher' ? 'pending' : undefined,
       firstName,
       lastName
     });
 
-    // generate token
-    const token = generateToken(user._id);
+    await sendVerificationEmail(user);
+
+    if (requireVerifiedEmail()) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please check your email to verify your account',
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          isEmailVerified: false
+        }
+      });
+    }
+
+    // start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       user: {
         id: user._id,
         username: user.username,
@@ -106,13 +153,29 @@ exports.login = async (req, res) => {
       });
     }
 
-    // generate token
-    const token = generateToken(user._id);
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended'
+      });
+    }
+
+    if (requireVerifiedEmail() && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before logging in'
+      });
+    }
+
+    // start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       user: {
         id: user._id,
         username: user.username,
@@ -148,6 +211,8 @@ exports.getMe = async (req, res) => {
         role: user.role,
         firstName: user.firstName,
         lastName: user.lastName,
+        isEmailVerified: user.isEmailVerified,
+        teacherStatus: user.teacherStatus,
         bio: user.bio,
         avatar: user.avatar,
         createdAt: user.createdAt
@@ -160,4 +225,431 @@ exports.getMe = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// @desc    Swap a refresh token for a new access token (and refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid, expired or revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out (revoke the current session)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.authSession, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke one session (sign a device out)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user.id, 'revoked', req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} other session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // same answer whether or not the account exists
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await queueEmail(user.email, 'passwordReset', { user, token }, user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending reset link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public (reset token)
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new password'
+      });
+    }
+
+    // checked up front so a rejected password doesn't use up the token
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    // clearing the token in the same update makes it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.params.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // resetting the password also claims an account made by a roster import
+    user.isPending = false;
+    // the reset link proves the user owns the email
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+    await user.save();
+
+    // sign out every device that used the old password
+    await revokeSessions(user._id, 'password_change');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public (verification token)
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        isEmailVerified: true,
+        emailVerifiedAt: Date.now(),
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // same answer whether or not the account exists (or is already verified)
+    if (user && !user.isEmailVerified && !user.isPending) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that account still needs verifying, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Claim an account created by a roster import (sets the password and signs in)
+// @route   POST /api/auth/claim-account/:token
+// @access  Public (invitation token)
+exports.claimAccount = async (req, res) => {
+  try {
+    const { password, username } = req.body;
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a password'
+      });
+    }
+
+    // checked up front so a rejected password doesn't use up the invitation
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      tokenHash: Invitation.hashToken(req.params.token)
+    });
+    const user = invitation && invitation.isPending() && invitation.user
+      ? await User.findById(invitation.user)
+      : null;
+
+    if (!user || !user.isPending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    // the student can swap the generated username for their own
+    if (username && username !== user.username) {
+      if (await User.exists({ username })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username is already taken'
+        });
+      }
+      user.username = username;
+    }
+
+    user.password = password;
+    const validationError = user.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(error => error.message).join(', ')
+      });
+    }
+
+    // single use: only one request can mark the invitation accepted
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { acceptedAt: Date.now(), acceptedBy: user._id }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    user.isPending = false;
+    // the invitation link proves the user owns the email
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save();
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account set up successfully',
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        firstName: user.firstName,
+        lastName: user.lastName
+      }
+    });
+  } catch (error) {
+    console.error('Claim account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up account',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
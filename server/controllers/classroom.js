@@ -1,5 +1,10 @@
 const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const File = require('../models/File');
 const User = require('../models/User');
+const { notify, nameOf } = require('../services/notification');
+const { enrollStudent, unenrollStudent } = require('../services/enrollment');
+const { can, isStaff, staffWith, staffFilter, isArchived } = require('../utils/permissions');
 
 // @desc    Create new classroom
 // @route   POST /api/classrooms
@@ -53,21 +58,31 @@ exports.createClassroom = async (req, res) => {
 };
 
 // @desc    Get all classrooms for current user
-// @route   GET /api/classrooms
+// @route   GET /api/classrooms?archived=true|all
 // @access  Private
 exports.getClassrooms = async (req, res) => {
   try {
     let classrooms;
 
+    // archived classrooms are hidden unless asked for (?archived=true for only those, all for both)
+    const archiveFilter = {};
+    if (req.query.archived === 'true') {
+      archiveFilter.isActive = false;
+    } else if (req.query.archived !== 'all') {
+      archiveFilter.isActive = { $ne: false };
+    }
+
     if (req.user.role === 'teacher') {
-      // Get classrooms where user is the teacher
-      classrooms = await Classroom.find({ teacher: req.user.id })
+      // Get classrooms the user owns or helps teach
+      classrooms = await Classroom.find({ ...staffFilter(req.user.id), ...archiveFilter })
         .populate('students', 'username email firstName lastName')
         .populate('teacher', 'username email firstName lastName')
+        .populate('staff.user', 'username email firstName lastName')
         .sort('-createdAt');
     } else {
       // Get classrooms where user is a student
-      classrooms = await Classroom.find({ students: req.user.id })
+      classrooms = await Classroom.find({ students: req.user.id, ...archiveFilter })
+        .select('-joinRequests -bannedStudents -announcements.readBy')
         .populate('teacher', 'username email firstName lastName')
         .sort('-createdAt');
     }
@@ -94,6 +109,7 @@ exports.getClassroom = async (req, res) => {
   try {
     const classroom = await Classroom.findById(req.params.id)
       .populate('teacher', 'username email firstName lastName')
+      .populate('staff.user', 'username email firstName lastName')
       .populate('students', 'username email firstName lastName')
       .populate('announcements.author', 'username firstName lastName')
       .populate('materials.uploadedBy', 'username firstName lastName');
@@ -106,18 +122,27 @@ exports.getClassroom = async (req, res) => {
     }
 
     // Check if user has access to this classroom
-    const isTeacher = classroom.teacher._id.toString() === req.user.id;
-    const isStudent = classroom.students.some(
-      student => student._id.toString() === req.user.id
-    );
+    const isTeacher = isStaff(classroom, req.user.id);
 
-    if (!isTeacher && !isStudent) {
+    if (!can(classroom, req.user.id, 'view')) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this classroom'
       });
     }
 
+    // hidden materials, join requests, bans and who read announcements are only shown to classroom staff
+    if (!isTeacher) {
+      classroom.materials = classroom.materials.filter(material => material.isVisible);
+      classroom.joinRequests = [];
+      classroom.bannedStudents = [];
+      classroom.announcements.forEach(announcement => {
+        announcement.readBy = announcement.readBy.filter(
+          entry => entry.user && entry.user.toString() === req.user.id
+        );
+      });
+    }
+
     res.status(200).json({
       success: true,
       classroom
@@ -146,18 +171,48 @@ exports.updateClassroom = async (req, res) => {
       });
     }
 
-    // Check if user is the teacher of this classroom
-    if (classroom.teacher.toString() !== req.user.id) {
+    // Check if user can manage this classroom
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
       return res.status(403).json({
         success: false,
         message: 'Only the classroom teacher can update it'
       });
     }
 
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // ownership, staff, enrollment, join settings, archiving and classroom content
+    // (materials, announcements, assignments, grading) change through their own endpoints
+    const {
+      teacher,
+      staff,
+      students,
+      materials,
+      announcements,
+      assignments,
+      gradeCategories,
+      gradingScale,
+      classCode,
+      classCodeEnabled,
+      classCodeExpiresAt,
+      requireJoinApproval,
+      joinRequests,
+      bannedStudents,
+      isActive,
+      archivedAt,
+      archivedBy,
+      ...updates
+    } = req.body;
+
     // Update classroom
     classroom = await Classroom.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -190,11 +245,11 @@ exports.deleteClassroom = async (req, res) => {
       });
     }
 
-    // check if user is the teacher of this classroom
-    if (classroom.teacher.toString() !== req.user.id) {
+    // only the owner can delete the classroom
+    if (!can(classroom, req.user.id, 'deleteClassroom')) {
       return res.status(403).json({
         success: false,
-        message: 'Only the classroom teacher can delete it'
+        message: 'Only the classroom owner can delete it'
       });
     }
 
@@ -204,6 +259,12 @@ exports.deleteClassroom = async (req, res) => {
       { $pull: { classrooms: classroom._id } }
     );
 
+    // files shared into this classroom by a copy no longer need to be
+    await File.updateMany(
+      { sharedWith: classroom._id },
+      { $pull: { sharedWith: classroom._id } }
+    );
+
     await classroom.deleteOne();
 
     res.status(200).json({
@@ -252,27 +313,78 @@ exports.joinClassroom = async (req, res) => {
       });
     }
 
-    // check if user is the teacher
-    if (classroom.teacher.toString() === req.user.id) {
+    // check if user already teaches the classroom
+    if (isStaff(classroom, req.user.id)) {
       return res.status(400).json({
         success: false,
-        message: 'You are the teacher of this classroom'
+        message: 'You are a teacher of this classroom'
       });
     }
 
-    // add student to classroom
-    classroom.students.push(req.user.id);
-    await classroom.save();
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
 
-    // add classroom to user's classrooms array
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { classrooms: classroom._id }
-    });
+    if (classroom.isBanned(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this classroom'
+      });
+    }
+
+    // the teacher can turn the code off or give it an end date
+    if (!classroom.classCodeEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Joining with a class code is disabled for this classroom'
+      });
+    }
+
+    if (classroom.classCodeExpiresAt && classroom.classCodeExpiresAt < new Date()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This class code has expired'
+      });
+    }
+
+    // wait for a teacher to approve the request
+    if (classroom.requireJoinApproval) {
+      const result = await Classroom.updateOne(
+        { _id: classroom._id, 'joinRequests.student': { $ne: req.user.id } },
+        { $push: { joinRequests: { student: req.user.id } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your request to join is already waiting for approval'
+        });
+      }
+
+      await notify(staffWith(classroom, 'manageClassroom'), {
+        type: 'join_requested',
+        title: `Join request for ${classroom.name}`,
+        message: `${nameOf(req.user)} asked to join ${classroom.name}.`,
+        actor: req.user.id,
+        classroom: classroom._id
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your request to join was sent to the teacher',
+        pending: true
+      });
+    }
+
+    await enrollStudent(classroom, req.user);
 
     res.status(200).json({
       success: true,
       message: 'Successfully joined classroom',
-      classroom
+      classroom: await Classroom.findById(classroom._id)
     });
   } catch (error) {
     console.error('Join classroom error:', error);
@@ -306,26 +418,266 @@ exports.leaveClassroom = async (req, res) => {
       });
     }
 
-    // remove student from classroom
-    classroom.students = classroom.students.filter(
-      student => student.toString() !== req.user.id
+    // remove student from classroom and classroom from user's classrooms array
+    await unenrollStudent(classroom, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully left classroom'
+    });
+  } catch (error) {
+    console.error('Leave classroom error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving classroom',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Archive classroom (kept read-only for the record)
+// @route   PUT /api/classrooms/:id/archive
+// @access  Private (Teacher only)
+exports.archiveClassroom = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can archive it'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Classroom is already archived'
+      });
+    }
+
+    classroom.isActive = false;
+    classroom.archivedAt = Date.now();
+    classroom.archivedBy = req.user.id;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom archived successfully',
+      classroom
+    });
+  } catch (error) {
+    console.error('Archive classroom error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving classroom',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unarchive classroom
+// @route   PUT /api/classrooms/:id/unarchive
+// @access  Private (Teacher only)
+exports.unarchiveClassroom = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can unarchive it'
+      });
+    }
+
+    if (!isArchived(classroom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Classroom is not archived'
+      });
+    }
+
+    classroom.isActive = true;
+    classroom.archivedAt = undefined;
+    classroom.archivedBy = undefined;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Classroom unarchived successfully',
+      classroom
+    });
+  } catch (error) {
+    console.error('Unarchive classroom error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unarchiving classroom',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Copy classroom into a new term (assignments as drafts, materials and settings; no students)
+// @route   POST /api/classrooms/:id/copy
+// @access  Private (Teacher only)
+exports.copyClassroom = async (req, res) => {
+  try {
+    const { name, description, subject, shiftDays } = req.body;
+
+    if (shiftDays !== undefined && !Number.isInteger(shiftDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'shiftDays must be a whole number of days'
+      });
+    }
+
+    const source = await Classroom.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(source, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can copy it'
+      });
+    }
+
+    const sourceAssignments = await Assignment.find({ classroom: source._id }).sort('createdAt');
+
+    // material and assignment files the source classroom really has
+    // (owned, or shared with it by an earlier copy)
+    const referencedIds = [
+      ...source.materials.map(material => material.publicId),
+      ...sourceAssignments.flatMap(assignment => assignment.attachments.map(file => file.publicId))
+    ].filter(Boolean);
+    const sourceFiles = await File.find({
+      publicId: { $in: referencedIds },
+      $or: [{ classroom: source._id }, { sharedWith: source._id }]
+    }).select('publicId');
+    const sourcePublicIds = new Set(sourceFiles.map(file => file.publicId));
+
+    // by default move dates on by the whole weeks since the original started, so weekdays line up
+    const DAY = 24 * 60 * 60 * 1000;
+    const days = shiftDays !== undefined
+      ? shiftDays
+      : Math.round((Date.now() - source.createdAt) / (7 * DAY)) * 7;
+    const shift = (date) => (date ? new Date(date.getTime() + days * DAY) : undefined);
+
+    // the copier owns the new classroom; staff, students and announcements stay behind
+    const classroom = new Classroom({
+      name: name || `${source.name} (copy)`.slice(0, 100),
+      description: description || source.description,
+      subject: subject || source.subject,
+      teacher: req.user.id,
+      classCodeEnabled: source.classCodeEnabled,
+      requireJoinApproval: source.requireJoinApproval,
+      gradeCategories: source.gradeCategories.map(category => ({
+        name: category.name,
+        weight: category.weight,
+        dropLowest: category.dropLowest
+      })),
+      gradingScale: source.gradingScale.map(grade => ({
+        letter: grade.letter,
+        minPercentage: grade.minPercentage
+      })),
+      materials: source.materials.map(material => {
+        const { _id, ...copy } = material.toObject();
+        // a file the source can't vouch for is left out rather than shared
+        if (copy.publicId && !sourcePublicIds.has(copy.publicId)) {
+          ['fileName', 'fileType', 'fileSize', 'publicId', 'resourceType', 'deliveryType'].forEach(key => delete copy[key]);
+        }
+        return { ...copy, uploadedAt: Date.now() };
+      })
+    });
+
+    // assignments point at categories by id, so map old ids to the copies
+    const categoryIds = new Map(
+      source.gradeCategories.map((category, index) => [
+        category._id.toString(),
+        classroom.gradeCategories[index]._id
+      ])
     );
+
+    const assignments = sourceAssignments.map(assignment => {
+      const {
+        _id,
+        __v,
+        submissions,
+        status,
+        publishedAt,
+        publishAt,
+        closedAt,
+        createdAt,
+        updatedAt,
+        ...copy
+      } = assignment.toObject();
+
+      // scheduled publishing is dropped so nothing goes out before the teacher reviews it
+      return {
+        ...copy,
+        classroom: classroom._id,
+        teacher: req.user.id,
+        status: 'draft',
+        category: assignment.category ? categoryIds.get(assignment.category.toString()) : undefined,
+        // like materials, attachments the source can't vouch for are left out
+        attachments: copy.attachments
+          .filter(file => file.publicId && sourcePublicIds.has(file.publicId))
+          .map(({ _id: fileId, ...file }) => file),
+        dueDate: shift(assignment.dueDate),
+        lateCutoffDate: shift(assignment.lateCutoffDate),
+        closeAt: shift(assignment.closeAt)
+      };
+    });
+
+    await classroom.save();
+
+    // record the sharing on the files so the new classroom's members can open them
+    if (sourcePublicIds.size > 0) {
+      await File.updateMany(
+        { publicId: { $in: [...sourcePublicIds] } },
+        { $addToSet: { sharedWith: classroom._id } }
+      );
+    }
+
+    const created = await Assignment.insertMany(assignments);
+
+    classroom.assignments = created.map(assignment => assignment._id);
     await classroom.save();
 
-    // remove classroom from user's classrooms array
     await User.findByIdAndUpdate(req.user.id, {
-      $pull: { classrooms: classroom._id }
+      $push: { classrooms: classroom._id }
     });
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Successfully left classroom'
+      message: `Classroom copied with ${created.length} draft assignment(s)`,
+      shiftDays: days,
+      classroom
     });
   } catch (error) {
-    console.error('Leave classroom error:', error);
+    console.error('Copy classroom error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error leaving classroom',
+      message: 'Error copying classroom',
       error: error.message
     });
   }
@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const Classroom = require('../models/Classroom');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { notify } = require('../services/notification');
+const { queueEmail } = require('../services/email');
+const { enrollStudent, enrollStudents, unenrollStudent } = require('../services/enrollment');
+const { can, isStaff, isArchived } = require('../utils/permissions');
+const { parseCsv } = require('../utils/spreadsheet');
+
+// largest roster a single import accepts
+const MAX_ROSTER_ROWS = 1000;
+
+// first matching column, since spreadsheets spell headers differently
+const columnValue = (record, names) => {
+  const name = names.find(item => record[item] !== undefined && record[item] !== '');
+  return name ? record[name].trim() : '';
+};
+
+// a free username based on the email address, for accounts made by an import
+const uniqueUsername = async (email) => {
+  const base = email.split('@')[0].toLowerCase().replace(/[^a-z0-9_.]/g, '').slice(0, 24).padEnd(3, '0');
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+};
+
+// load the classroom for :id and check the user can manage it, responding on failure
+// changes (writable) are refused while the classroom is archived
+const loadManagedClassroom = async (req, res, { writable = true } = {}) => {
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    res.status(404).json({
+      success: false,
+      message: 'Classroom not found'
+    });
+    return null;
+  }
+
+  if (!can(classroom, req.user.id, 'manageClassroom')) {
+    res.status(403).json({
+      success: false,
+      message: 'Only classroom teachers can manage enrollment'
+    });
+    return null;
+  }
+
+  if (writable && isArchived(classroom)) {
+    res.status(403).json({
+      success: false,
+      message: 'This classroom is archived and read-only'
+    });
+    return null;
+  }
+
+  return classroom;
+};
+
+const joinSettingsOf = (classroom) => ({
+  classCode: classroom.classCode,
+  classCodeEnabled: classroom.classCodeEnabled,
+  classCodeExpiresAt: classroom.classCodeExpiresAt || null,
+  requireJoinApproval: classroom.requireJoinApproval,
+  pendingRequests: classroom.joinRequests.length
+});
+
+// @desc    Get class code and join settings
+// @route   GET /api/classrooms/:id/join-settings
+// @access  Private (Classroom teachers)
+exports.getJoinSettings = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res, { writable: false });
+    if (!classroom) return;
+
+    res.status(200).json({
+      success: true,
+      settings: joinSettingsOf(classroom)
+    });
+  } catch (error) {
+    console.error('Get join settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching join settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Enable/disable the class code, set its expiry, and require join approval
+// @route   PUT /api/classrooms/:id/join-settings
+// @access  Private (Classroom teachers)
+exports.updateJoinSettings = async (req, res) => {
+  try {
+    const { classCodeEnabled, classCodeExpiresAt, requireJoinApproval } = req.body;
+
+    if (classCodeEnabled !== undefined && typeof classCodeEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'classCodeEnabled must be true or false'
+      });
+    }
+
+    if (requireJoinApproval !== undefined && typeof requireJoinApproval !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireJoinApproval must be true or false'
+      });
+    }
+
+    // null clears the expiry
+    let expiresAt;
+    if (classCodeExpiresAt !== undefined && classCodeExpiresAt !== null) {
+      expiresAt = new Date(classCodeExpiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Class code expiry must be a valid date in the future'
+        });
+      }
+    }
+
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    if (classCodeEnabled !== undefined) {
+      classroom.classCodeEnabled = classCodeEnabled;
+    }
+    if (classCodeExpiresAt !== undefined) {
+      classroom.classCodeExpiresAt = expiresAt;
+    }
+    if (requireJoinApproval !== undefined) {
+      classroom.requireJoinApproval = requireJoinApproval;
+    }
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Join settings updated successfully',
+      settings: joinSettingsOf(classroom)
+    });
+  } catch (error) {
+    console.error('Update join settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating join settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the class code (the old code stops working)
+// @route   POST /api/classrooms/:id/class-code
+// @access  Private (Classroom teachers)
+exports.regenerateClassCode = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    await classroom.generateClassCode();
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Class code regenerated successfully',
+      settings: joinSettingsOf(classroom)
+    });
+  } catch (error) {
+    console.error('Regenerate class code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating class code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List students waiting for approval to join
+// @route   GET /api/classrooms/:id/join-requests
+// @access  Private (Classroom teachers)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res, { writable: false });
+    if (!classroom) return;
+
+    await classroom.populate('joinRequests.student', 'username email firstName lastName avatar');
+
+    res.status(200).json({
+      success: true,
+      count: classroom.joinRequests.length,
+      requests: classroom.joinRequests
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching join requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve or decline a join request
+// @route   PUT /api/classrooms/:id/join-requests/:studentId
+// @access  Private (Classroom teachers)
+exports.reviewJoinRequest = async (req, res) => {
+  try {
+    const { approved } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide approved as true or false'
+      });
+    }
+
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    const student = await User.findById(req.params.studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // take the request off the list before acting so two teachers can't both act on it
+    const claimed = await Classroom.findOneAndUpdate(
+      { _id: classroom._id, 'joinRequests.student': student._id },
+      { $pull: { joinRequests: { student: student._id } } }
+    );
+
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    if (approved) {
+      await enrollStudent(classroom, student);
+    }
+
+    await notify(student._id, {
+      type: 'join_request_reviewed',
+      title: approved ? `You joined ${classroom.name}` : `Join request for ${classroom.name} declined`,
+      message: approved
+        ? `Your request to join ${classroom.name} was approved.`
+        : `Your request to join ${classroom.name} was declined.`,
+      actor: req.user.id,
+      classroom: classroom._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Join request approved' : 'Join request declined'
+    });
+  } catch (error) {
+    console.error('Review join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing join request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a student from the roster (they can rejoin)
+// @route   DELETE /api/classrooms/:id/students/:studentId
+// @access  Private (Classroom teachers)
+exports.removeStudent = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    const removed = await unenrollStudent(classroom, req.params.studentId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this classroom'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Student removed from classroom'
+    });
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing student',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Enroll students from a CSV (email, first name, last name)
+// @route   POST /api/classrooms/:id/roster/import?dryRun=true&createAccounts=true
+// @access  Private (Classroom teachers)
+exports.importRoster = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    // emails without an account get a pending one and an invitation to set a password
+    const createAccounts = req.query.createAccounts === 'true';
+
+    // accept an uploaded file or raw CSV text in the body
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    const records = parseCsv(csvText);
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV file has no rows'
+      });
+    }
+
+    if (records.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A roster import can have at most ${MAX_ROSTER_ROWS} rows`
+      });
+    }
+
+    if (!Object.keys(records[0]).includes('email')) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV needs an email column'
+      });
+    }
+
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    const emails = records.map(record => (record.email || '').trim().toLowerCase()).filter(Boolean);
+    const users = await User.find({ email: { $in: emails } });
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    const seen = new Set();
+    const toEnroll = [];
+    const report = [];
+
+    for (const record of records) {
+      const email = (record.email || '').trim().toLowerCase();
+      const entry = {
+        row: record.line,
+        email
+      };
+      const user = usersByEmail.get(email);
+
+      if (!email) {
+        entry.status = 'error';
+        entry.error = 'Missing email';
+      } else if (seen.has(email)) {
+        entry.status = 'error';
+        entry.error = 'Email appears more than once in the file';
+      } else if (user) {
+        seen.add(email);
+        entry.user = user._id;
+
+        if (user.role !== 'student') {
+          entry.status = 'error';
+          entry.error = 'Account is not a student account';
+        } else if (classroom.isBanned(user._id)) {
+          entry.status = 'error';
+          entry.error = 'Student is banned from this classroom';
+        } else if (classroom.students.some(student => student.equals(user._id))) {
+          entry.status = 'already_enrolled';
+        } else {
+          entry.action = 'enroll';
+          entry.status = dryRun ? 'valid' : 'enrolled';
+          toEnroll.push(user._id);
+        }
+      } else if (!createAccounts) {
+        seen.add(email);
+        entry.status = 'error';
+        entry.error = 'No account uses this email';
+      } else {
+        seen.add(email);
+
+        const newUser = new User({
+          username: await uniqueUsername(email),
+          email,
+          // never handed out; the student sets their own password from the invitation
+          password: crypto.randomBytes(24).toString('hex'),
+          role: 'student',
+          firstName: columnValue(record, ['firstname', 'first name', 'first_name']),
+          lastName: columnValue(record, ['lastname', 'last name', 'last_name']),
+          isPending: true
+        });
+
+        const validationError = newUser.validateSync();
+
+        if (validationError) {
+          entry.status = 'error';
+          entry.error = Object.values(validationError.errors).map(error => error.message).join(', ');
+        } else if (dryRun) {
+          entry.action = 'create';
+          entry.status = 'valid';
+        } else {
+          try {
+            await newUser.save();
+
+            const invitation = new Invitation({
+              classroom: classroom._id,
+              email,
+              user: newUser._id,
+              invitedBy: req.user.id
+            });
+            const token = invitation.createToken();
+            await invitation.save();
+
+            await queueEmail(
+              email,
+              'accountInvite',
+              { user: newUser, inviter: req.user, classroom, token },
+              newUser._id
+            );
+
+            entry.action = 'create';
+            entry.status = 'created';
+            entry.user = newUser._id;
+            toEnroll.push(newUser._id);
+          } catch (error) {
+            entry.status = 'error';
+            entry.error = error.message;
+          }
+        }
+      }
+
+      report.push(entry);
+    }
+
+    if (!dryRun) {
+      await enrollStudents(classroom, toEnroll);
+    }
+
+    const count = (status) => report.filter(entry => entry.status === status).length;
+    const errorCount = count('error');
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run complete, no students were enrolled'
+        : `${toEnroll.length} student(s) enrolled`,
+      dryRun,
+      summary: {
+        total: report.length,
+        enrolled: dryRun ? 0 : count('enrolled') + count('created'),
+        created: count('created'),
+        alreadyEnrolled: count('already_enrolled'),
+        valid: count('valid'),
+        errors: errorCount
+      },
+      rows: report
+    });
+  } catch (error) {
+    console.error('Import roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing roster',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List banned students
+// @route   GET /api/classrooms/:id/bans
+// @access  Private (Classroom teachers)
+exports.getBannedStudents = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res, { writable: false });
+    if (!classroom) return;
+
+    await classroom.populate([
+      { path: 'bannedStudents.student', select: 'username email firstName lastName avatar' },
+      { path: 'bannedStudents.bannedBy', select: 'username firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: classroom.bannedStudents.length,
+      bans: classroom.bannedStudents
+    });
+  } catch (error) {
+    console.error('Get banned students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching banned students',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Ban a student (removes them and blocks rejoining)
+// @route   POST /api/classrooms/:id/bans
+// @access  Private (Classroom teachers)
+exports.banStudent = async (req, res) => {
+  try {
+    const { student: studentId, reason } = req.body;
+
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a student'
+      });
+    }
+
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    const student = await User.findById(studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (isStaff(classroom, student._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Classroom staff cannot be banned'
+      });
+    }
+
+    const banned = await Classroom.findOneAndUpdate(
+      { _id: classroom._id, 'bannedStudents.student': { $ne: student._id } },
+      {
+        $push: { bannedStudents: { student: student._id, reason, bannedBy: req.user.id } },
+        $pull: { joinRequests: { student: student._id } }
+      }
+    );
+
+    if (!banned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is already banned'
+      });
+    }
+
+    await unenrollStudent(classroom, student._id);
+
+    // outstanding invitations would let them straight back in
+    await Invitation.updateMany(
+      { classroom: classroom._id, email: student.email, acceptedAt: null, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Student banned from classroom'
+    });
+  } catch (error) {
+    console.error('Ban student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error banning student',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lift a ban (the student can join again, but isn't re-enrolled)
+// @route   DELETE /api/classrooms/:id/bans/:studentId
+// @access  Private (Classroom teachers)
+exports.unbanStudent = async (req, res) => {
+  try {
+    const classroom = await loadManagedClassroom(req, res);
+    if (!classroom) return;
+
+    const result = await Classroom.updateOne(
+      { _id: classroom._id, 'bannedStudents.student': req.params.studentId },
+      { $pull: { bannedStudents: { student: req.params.studentId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not banned'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ban lifted successfully'
+    });
+  } catch (error) {
+    console.error('Unban student error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error lifting ban',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,270 @@
+const Extension = require('../models/Extension');
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { can, isStaff, isArchived } = require('../utils/permissions');
+
+// recalculate lateness of already submitted work after extensions change
+const refreshLateness = async (classroomId, studentId, assignmentId) => {
+  const filter = {
+    classroom: classroomId,
+    student: studentId,
+    submittedAt: { $exists: true }
+  };
+  if (assignmentId) {
+    filter.assignment = assignmentId;
+  }
+
+  const submissions = await Submission.find(filter).populate('assignment');
+
+  for (const submission of submissions) {
+    const dueDate = await Extension.effectiveDueDate(submission.assignment, studentId);
+    submission.applyLatePenalty(submission.assignment, dueDate);
+    await submission.save();
+  }
+};
+
+// @desc    List extensions and accommodations for a classroom
+// @route   GET /api/classrooms/:id/extensions
+// @access  Private (Teacher sees all, students see their own)
+exports.getExtensions = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    const isTeacher = isStaff(classroom, req.user.id);
+
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    const filter = { classroom: classroom._id };
+    if (!isTeacher) {
+      filter.student = req.user.id;
+    }
+
+    // by default only active grants: not revoked and (for fixed dates) not yet passed
+    if (req.query.all !== 'true') {
+      filter.isActive = true;
+      filter.$or = [
+        { dueDate: { $exists: false } },
+        { dueDate: null },
+        { dueDate: { $gte: new Date() } }
+      ];
+    }
+
+    if (req.query.student && isTeacher) {
+      filter.student = req.query.student;
+    }
+
+    const extensions = await Extension.find(filter)
+      .populate('student', 'username email firstName lastName')
+      .populate('assignment', 'title dueDate')
+      .populate('grantedBy', 'username firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: extensions.length,
+      extensions
+    });
+  } catch (error) {
+    console.error('Get extensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching extensions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Grant an extension (one assignment) or accommodation (whole classroom)
+// @route   POST /api/classrooms/:id/extensions
+// @access  Private (Classroom teacher only)
+exports.grantExtension = async (req, res) => {
+  try {
+    const { student, assignment, dueDate, extraTimePercent, reason } = req.body;
+
+    if (!student) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a student'
+      });
+    }
+
+    if (!dueDate && !extraTimePercent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new due date or extra time percent'
+      });
+    }
+
+    if (dueDate && !assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new due date can only be set for a single assignment'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageExtensions')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can grant extensions'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const isEnrolled = classroom.students.some(
+      item => item.toString() === student
+    );
+
+    if (!isEnrolled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not enrolled in this classroom'
+      });
+    }
+
+    if (assignment) {
+      const assignmentDoc = await Assignment.findById(assignment);
+      if (!assignmentDoc || assignmentDoc.classroom.toString() !== classroom._id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assignment not found in this classroom'
+        });
+      }
+
+      if (dueDate && new Date(dueDate) <= assignmentDoc.dueDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Extended due date must be after the assignment due date'
+        });
+      }
+    }
+
+    // a new grant replaces the active one for the same student and scope
+    await Extension.updateMany(
+      {
+        classroom: classroom._id,
+        student,
+        assignment: assignment || null,
+        isActive: true
+      },
+      { isActive: false, revokedAt: Date.now() }
+    );
+
+    const extension = await Extension.create({
+      classroom: classroom._id,
+      student,
+      assignment: assignment || undefined,
+      dueDate: dueDate || undefined,
+      extraTimePercent: dueDate ? undefined : extraTimePercent,
+      reason,
+      grantedBy: req.user.id
+    });
+
+    await refreshLateness(classroom._id, student, assignment);
+
+    await extension.populate([
+      { path: 'student', select: 'username email firstName lastName' },
+      { path: 'assignment', select: 'title dueDate' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: assignment ? 'Extension granted successfully' : 'Accommodation granted successfully',
+      extension
+    });
+  } catch (error) {
+    console.error('Grant extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error granting extension',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an extension or accommodation
+// @route   DELETE /api/classrooms/:id/extensions/:extensionId
+// @access  Private (Classroom teacher only)
+exports.revokeExtension = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageExtensions')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can revoke extensions'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const extension = await Extension.findOne({
+      _id: req.params.extensionId,
+      classroom: classroom._id
+    });
+
+    if (!extension || !extension.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extension not found'
+      });
+    }
+
+    extension.isActive = false;
+    extension.revokedAt = Date.now();
+    await extension.save();
+
+    await refreshLateness(classroom._id, extension.student, extension.assignment);
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking extension',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,367 @@
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const { buildGradebook } = require('../services/gradebook');
+const { computeCourseGrades, validateGradingSettings } = require('../services/courseGrade');
+const { sendSpreadsheet } = require('../utils/spreadsheet');
+const { can, isArchived } = require('../utils/permissions');
+
+// @desc    Get classroom gradebook (students x assignments)
+// @route   GET /api/classrooms/:id/gradebook
+// @access  Private (Classroom teachers and TAs)
+exports.getGradebook = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // check if user is the teacher of this classroom
+    if (!can(classroom, req.user.id, 'viewGradebook')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can view the gradebook'
+      });
+    }
+
+    const gradebook = await buildGradebook(classroom);
+
+    res.status(200).json({
+      success: true,
+      gradebook
+    });
+  } catch (error) {
+    console.error('Get gradebook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gradebook',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export classroom gradebook as CSV or XLSX
+// @route   GET /api/classrooms/:id/gradebook/export?format=csv|xlsx
+// @access  Private (Classroom teachers and TAs)
+exports.exportGradebook = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'viewGradebook')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can export the gradebook'
+      });
+    }
+
+    const gradebook = await buildGradebook(classroom);
+
+    const headers = [
+      'Last Name',
+      'First Name',
+      'Username',
+      'Email',
+      ...gradebook.assignments.map(assignment => `${assignment.title} (${assignment.totalPoints})`),
+      'Average %',
+      'Missing',
+      'Late',
+      'Course %',
+      'Letter'
+    ];
+
+    const rows = gradebook.students.map(student => [
+      student.lastName,
+      student.firstName,
+      student.username,
+      student.email,
+      ...student.grades.map(cell => {
+        if (cell.finalGrade !== null) return cell.finalGrade;
+        return cell.isMissing ? 'Missing' : '';
+      }),
+      student.averagePercentage,
+      student.missingCount,
+      student.lateCount,
+      student.courseGrade.percentage,
+      student.courseGrade.letter
+    ]);
+
+    rows.push([
+      'Assignment average',
+      '',
+      '',
+      '',
+      ...gradebook.assignments.map(assignment => assignment.averageGrade),
+      '',
+      '',
+      '',
+      '',
+      ''
+    ]);
+
+    // in XLSX, shade missing work red and late work amber
+    const firstGradeColumn = 4;
+    const highlights = (rowIndex, columnIndex) => {
+      const student = gradebook.students[rowIndex];
+      const cell = student && student.grades[columnIndex - firstGradeColumn];
+      if (!cell) return null;
+      if (cell.isMissing) return 'FFF8CBAD';
+      if (cell.isLate) return 'FFFFE699';
+      return null;
+    };
+
+    await sendSpreadsheet(res, format, `${classroom.name}-gradebook`, {
+      sheetName: 'Gradebook',
+      headers,
+      rows,
+      highlights
+    });
+  } catch (error) {
+    console.error('Export gradebook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting gradebook',
+      error: error.message
+    });
+  }
+};
+
+
+// @desc    Get grade categories and letter scale
+// @route   GET /api/classrooms/:id/gradebook/settings
+// @access  Private (Teacher or enrolled student)
+exports.getGradingSettings = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      gradeCategories: classroom.gradeCategories,
+      gradingScale: classroom.gradingScale
+    });
+  } catch (error) {
+    console.error('Get grading settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching grading settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set grade categories (weights, drop lowest) and letter scale
+// @route   PUT /api/classrooms/:id/gradebook/settings
+// @access  Private (Classroom teacher only)
+exports.updateGradingSettings = async (req, res) => {
+  try {
+    const { gradeCategories, gradingScale } = req.body;
+
+    const settingsError = validateGradingSettings(gradeCategories, gradingScale);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageGrading')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can change grading settings'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    if (gradeCategories !== undefined) {
+      // categories sent with an _id are updated in place so assignments stay linked
+      classroom.gradeCategories = gradeCategories.map(category => ({
+        _id: category._id,
+        name: category.name,
+        weight: category.weight,
+        dropLowest: category.dropLowest || 0
+      }));
+    }
+
+    if (gradingScale !== undefined) {
+      classroom.gradingScale = gradingScale.map(step => ({
+        letter: step.letter,
+        minPercentage: step.minPercentage
+      }));
+    }
+
+    await classroom.save();
+
+    // assignments in removed categories become uncategorized
+    if (gradeCategories !== undefined) {
+      await Assignment.updateMany(
+        {
+          classroom: classroom._id,
+          category: { $exists: true, $nin: classroom.gradeCategories.map(category => category._id) }
+        },
+        { $unset: { category: 1 } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Grading settings updated successfully',
+      gradeCategories: classroom.gradeCategories,
+      gradingScale: classroom.gradingScale
+    });
+  } catch (error) {
+    console.error('Update grading settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating grading settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get running course grades for every student
+// @route   GET /api/classrooms/:id/gradebook/course-grades
+// @access  Private (Classroom teachers and TAs)
+exports.getCourseGrades = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .populate('students', 'username email firstName lastName');
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'viewGradebook')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can view course grades'
+      });
+    }
+
+    const courseGrades = await computeCourseGrades(
+      classroom,
+      classroom.students.map(student => student._id)
+    );
+
+    const grades = classroom.students.map(student => ({
+      student,
+      ...courseGrades.get(student._id.toString())
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: grades.length,
+      gradingScale: classroom.gradingScale,
+      grades
+    });
+  } catch (error) {
+    console.error('Get course grades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating course grades',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one student's running course grade
+// @route   GET /api/classrooms/:id/gradebook/course-grades/:studentId
+// @access  Private (Classroom teachers and TAs, or own student)
+exports.getStudentCourseGrade = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    const isOwnGrade = studentId === req.user.id;
+
+    if (!can(classroom, req.user.id, 'viewGradebook') && !isOwnGrade) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this course grade'
+      });
+    }
+
+    const isEnrolled = classroom.students.some(
+      student => student.toString() === studentId
+    );
+
+    if (!isEnrolled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this classroom'
+      });
+    }
+
+    const courseGrades = await computeCourseGrades(classroom, [studentId]);
+
+    res.status(200).json({
+      success: true,
+      gradingScale: classroom.gradingScale,
+      courseGrade: courseGrades.get(studentId)
+    });
+  } catch (error) {
+    console.error('Get student course grade error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating course grade',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+const Classroom = require('../models/Classroom');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { queueEmail } = require('../services/email');
+const { enrollStudent } = require('../services/enrollment');
+const { can, roleIn, isArchived } = require('../utils/permissions');
+
+// @desc    List a classroom's invitations (pending only unless all=true)
+// @route   GET /api/classrooms/:id/invites
+// @access  Private (Classroom teachers)
+exports.getInvitations = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can manage invitations'
+      });
+    }
+
+    const filter = { classroom: classroom._id };
+    if (req.query.all !== 'true') {
+      filter.acceptedAt = null;
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('user', 'username email firstName lastName')
+      .populate('invitedBy', 'username firstName lastName')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Invite a student by email or username (emails a single-use link)
+// @route   POST /api/classrooms/:id/invites
+// @access  Private (Classroom teachers)
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, username } = req.body;
+
+    if (!email && !username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email or username'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can manage invitations'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const user = username
+      ? await User.findOne({ username })
+      : await User.findOne({ email: email.toLowerCase() });
+
+    // usernames must belong to an account; emails can invite someone new
+    if (username && !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user) {
+      if (user.role !== 'student') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only student accounts can be invited; add teachers as staff instead'
+        });
+      }
+
+      if (roleIn(classroom, user._id) === 'student') {
+        return res.status(400).json({
+          success: false,
+          message: 'User is already enrolled in this classroom'
+        });
+      }
+
+      if (classroom.isBanned(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is banned from this classroom; lift the ban first'
+        });
+      }
+    }
+
+    const inviteEmail = user ? user.email : email.toLowerCase();
+
+    // only the newest link for an address stays valid
+    await Invitation.updateMany(
+      { classroom: classroom._id, email: inviteEmail, acceptedAt: null, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+
+    const invitation = new Invitation({
+      classroom: classroom._id,
+      email: inviteEmail,
+      user: user ? user._id : undefined,
+      invitedBy: req.user.id
+    });
+    const token = invitation.createToken();
+    await invitation.save();
+
+    await queueEmail(
+      inviteEmail,
+      'classroomInvite',
+      { user, inviter: req.user, classroom, token },
+      user ? user._id : undefined
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${inviteEmail}`,
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        user: invitation.user,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/classrooms/:id/invites/:inviteId
+// @access  Private (Classroom teachers)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageClassroom')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can manage invitations'
+      });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.inviteId, classroom: classroom._id, acceptedAt: null, revokedAt: null },
+      { revokedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation and join the classroom
+// @route   POST /api/classrooms/invites/:token/accept
+// @access  Private (the invited student)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const tokenHash = Invitation.hashToken(req.params.token);
+    const invitation = await Invitation.findOne({ tokenHash });
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    // the link only works for the address it was sent to
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (req.user.role !== 'student') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only student accounts can accept classroom invitations'
+      });
+    }
+
+    const classroom = await Classroom.findById(invitation.classroom);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (classroom.isBanned(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this classroom'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // single use: only one request can mark the invitation accepted
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { acceptedAt: Date.now(), acceptedBy: req.user.id }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    // invitations skip the class code settings and join approval
+    await enrollStudent(classroom, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Successfully joined classroom',
+      classroom: await Classroom.findById(classroom._id)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation',
+      error: error.message
+    });
+  }
+};
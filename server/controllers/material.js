@@ -0,0 +1,449 @@
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const File = require('../models/File');
+const storage = require('../services/storage');
+const { can, isStaff, isArchived } = require('../utils/permissions');
+
+// order materials by topic, then by position within the topic
+const sortMaterials = (materials) => {
+  return [...materials].sort((a, b) => {
+    if (a.topic !== b.topic) {
+      return (a.topic || '').localeCompare(b.topic || '');
+    }
+    return a.order - b.order;
+  });
+};
+
+// @desc    Get materials for a classroom
+// @route   GET /api/classrooms/:id/materials
+// @access  Private (Teacher or enrolled student)
+exports.getMaterials = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .populate('materials.uploadedBy', 'username firstName lastName');
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // check if user has access to this classroom
+    const isTeacher = isStaff(classroom, req.user.id);
+
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    // students only see visible materials
+    let materials = sortMaterials(classroom.materials);
+    if (!isTeacher) {
+      materials = materials.filter(material => material.isVisible);
+    }
+
+    if (req.query.topic) {
+      materials = materials.filter(material => material.topic === req.query.topic);
+    }
+
+    // group by topic so clients can render folders directly
+    const topics = [];
+    materials.forEach(material => {
+      let group = topics.find(topic => topic.name === material.topic);
+      if (!group) {
+        group = { name: material.topic, materials: [] };
+        topics.push(group);
+      }
+      group.materials.push(material);
+    });
+
+    res.status(200).json({
+      success: true,
+      count: materials.length,
+      topics
+    });
+  } catch (error) {
+    console.error('Get materials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching materials',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload a material to a classroom
+// @route   POST /api/classrooms/:id/materials
+// @access  Private (Classroom teacher only)
+exports.createMaterial = async (req, res) => {
+  try {
+    const { title, description, topic, isVisible } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    if (!title) {
+      await storage.discardFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a title'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      await storage.discardFile(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    // check if user is the teacher of this classroom
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      await storage.discardFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can add materials'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      await storage.discardFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // new materials go to the end of their topic
+    const materialTopic = topic || 'General';
+    const topicMaterials = classroom.materials.filter(
+      material => material.topic === materialTopic
+    );
+    const order = topicMaterials.length > 0
+      ? Math.max(...topicMaterials.map(material => material.order)) + 1
+      : 0;
+
+    classroom.materials.push({
+      title,
+      description,
+      topic: materialTopic,
+      ...storage.describeFile(req.file),
+      order,
+      // multipart bodies send booleans as strings
+      isVisible: isVisible === undefined ? true : String(isVisible) === 'true',
+      uploadedBy: req.user.id
+    });
+    await classroom.save();
+
+    const material = classroom.materials[classroom.materials.length - 1];
+
+    await File.create({
+      ...storage.describeFile(req.file),
+      storageDriver: storage.name,
+      purpose: 'material',
+      uploadedBy: req.user.id,
+      classroom: classroom._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Material uploaded successfully',
+      material
+    });
+  } catch (error) {
+    console.error('Create material error:', error);
+    await storage.discardFile(req.file);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading material',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update material details (title, description, topic)
+// @route   PUT /api/classrooms/:id/materials/:materialId
+// @access  Private (Classroom teacher only)
+exports.updateMaterial = async (req, res) => {
+  try {
+    const { title, description, topic } = req.body;
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can update materials'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const material = classroom.materials.id(req.params.materialId);
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    if (title !== undefined) material.title = title;
+    if (description !== undefined) material.description = description;
+
+    // moving to another topic puts the material at the end of it
+    if (topic !== undefined && topic !== material.topic) {
+      const topicMaterials = classroom.materials.filter(item => item.topic === topic);
+      material.topic = topic;
+      material.order = topicMaterials.length > 0
+        ? Math.max(...topicMaterials.map(item => item.order)) + 1
+        : 0;
+    }
+
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Material updated successfully',
+      material
+    });
+  } catch (error) {
+    console.error('Update material error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating material',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Show or hide a material from students
+// @route   PUT /api/classrooms/:id/materials/:materialId/visibility
+// @access  Private (Classroom teacher only)
+exports.setMaterialVisibility = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can change material visibility'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const material = classroom.materials.id(req.params.materialId);
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    // toggle unless an explicit value is given
+    material.isVisible = req.body.isVisible !== undefined
+      ? Boolean(req.body.isVisible)
+      : !material.isVisible;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: material.isVisible ? 'Material is now visible to students' : 'Material is now hidden from students',
+      material
+    });
+  } catch (error) {
+    console.error('Set material visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating material visibility',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reorder materials within a topic
+// @route   PUT /api/classrooms/:id/materials/reorder
+// @access  Private (Classroom teacher only)
+exports.reorderMaterials = async (req, res) => {
+  try {
+    const { materialIds } = req.body;
+
+    if (!Array.isArray(materialIds) || materialIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an ordered array of material IDs'
+      });
+    }
+
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can reorder materials'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const materials = materialIds.map(materialId => classroom.materials.id(materialId));
+
+    if (materials.some(material => !material)) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more materials were not found'
+      });
+    }
+
+    // an optional topic moves every listed material into that topic
+    const topic = req.body.topic || materials[0].topic;
+    materials.forEach((material, index) => {
+      material.topic = topic;
+      material.order = index;
+    });
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Materials reordered successfully',
+      materials: sortMaterials(classroom.materials)
+    });
+  } catch (error) {
+    console.error('Reorder materials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering materials',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete material (and its stored file)
+// @route   DELETE /api/classrooms/:id/materials/:materialId
+// @access  Private (Classroom teacher only)
+exports.deleteMaterial = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id);
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'manageContent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom teacher can delete materials'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const material = classroom.materials.id(req.params.materialId);
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    // only delete a stored file this classroom's upload record says it owns
+    const file = material.publicId
+      ? await File.findOne({ publicId: material.publicId })
+      : null;
+    const ownsFile = Boolean(file) && Boolean(file.classroom) &&
+      file.classroom.toString() === classroom._id.toString();
+
+    // a copy only stops sharing the file; the original keeps it while copies still use it
+    const isSharedHere = Boolean(file) && file.sharedWith.some(id => id.toString() === classroom._id.toString());
+
+    material.deleteOne();
+    await classroom.save();
+
+    if (ownsFile || isSharedHere) {
+      const remaining = isSharedHere
+        ? await File.findOneAndUpdate({ _id: file._id }, { $pull: { sharedWith: classroom._id } }, { new: true })
+        : file;
+
+      // the stored file goes once no copy shares it and no material or assignment still uses it
+      // (a copy can outlive the original's material); a missing file means it is already gone
+      const inUse = await Classroom.exists({ 'materials.publicId': file.publicId }) ||
+        await Assignment.exists({ 'attachments.publicId': file.publicId });
+      if (remaining && remaining.sharedWith.length === 0 && !inUse) {
+        await storage.deleteFile(file.publicId, {
+          resourceType: file.resourceType,
+          deliveryType: file.deliveryType
+        });
+        await File.deleteOne({ _id: file._id });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Material deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete material error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting material',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,201 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const EMAIL_FREQUENCIES = ['immediate', 'daily', 'off'];
+
+// @desc    Get notifications for the logged-in user
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'username firstName lastName avatar')
+        .populate('classroom', 'name')
+        .populate('assignment', 'title dueDate')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user.id, isRead: false })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      page,
+      pages: Math.ceil(total / limit),
+      notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (Recipient only)
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, isRead: false },
+      { isRead: true, readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      types: Notification.TYPES,
+      emailFrequencies: EMAIL_FREQUENCIES,
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { mutedTypes, emailFrequency } = req.body;
+
+    if (mutedTypes !== undefined) {
+      if (!Array.isArray(mutedTypes)) {
+        return res.status(400).json({
+          success: false,
+          message: 'mutedTypes must be an array'
+        });
+      }
+
+      const unknown = mutedTypes.filter(type => !Notification.TYPES.includes(type));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification type(s): ${unknown.join(', ')}`
+        });
+      }
+    }
+
+    if (emailFrequency !== undefined && !EMAIL_FREQUENCIES.includes(emailFrequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Email frequency must be one of: ${EMAIL_FREQUENCIES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (mutedTypes !== undefined) {
+      user.notificationPreferences.mutedTypes = [...new Set(mutedTypes)];
+    }
+
+    if (emailFrequency !== undefined) {
+      // leaving the daily digest drops whatever was waiting for it
+      if (emailFrequency !== 'daily') {
+        await Notification.updateMany(
+          { recipient: user._id, emailPending: true },
+          { emailPending: false }
+        );
+      }
+      user.notificationPreferences.emailFrequency = emailFrequency;
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,363 @@
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const { joinClassroomRoom, leaveClassroomRoom } = require('../services/realtime');
+const { can, roleIn } = require('../utils/permissions');
+
+// find a user by id, email or username
+const findUserByIdentifier = ({ user, email, username }) => {
+  if (user) return User.findById(user);
+  if (email) return User.findOne({ email: email.toLowerCase() });
+  if (username) return User.findOne({ username });
+  return null;
+};
+
+// public fields for a staff member
+const formatMember = (user, role, extra = {}) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  avatar: user.avatar,
+  role,
+  ...extra
+});
+
+// load the classroom for :id, responding with 404 if it doesn't exist
+const loadClassroom = async (req, res) => {
+  const classroom = await Classroom.findById(req.params.id);
+
+  if (!classroom) {
+    res.status(404).json({
+      success: false,
+      message: 'Classroom not found'
+    });
+    return null;
+  }
+
+  return classroom;
+};
+
+// @desc    List the classroom owner, co-teachers and TAs
+// @route   GET /api/classrooms/:id/staff
+// @access  Private (Classroom members)
+exports.getStaff = async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.id)
+      .populate('teacher', 'username email firstName lastName avatar')
+      .populate('staff.user', 'username email firstName lastName avatar');
+
+    if (!classroom) {
+      return res.status(404).json({
+        success: false,
+        message: 'Classroom not found'
+      });
+    }
+
+    if (!can(classroom, req.user.id, 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this classroom'
+      });
+    }
+
+    const staff = [
+      formatMember(classroom.teacher, 'owner'),
+      ...classroom.staff
+        .filter(entry => entry.user)
+        .map(entry => formatMember(entry.user, entry.role, { addedAt: entry.addedAt }))
+    ];
+
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      staff
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching classroom staff',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a co-teacher or TA
+// @route   POST /api/classrooms/:id/staff
+// @access  Private (Classroom owner only)
+exports.addStaff = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Classroom.STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Classroom.STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    if (!can(classroom, req.user.id, 'manageStaff')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom owner can manage staff'
+      });
+    }
+
+    const query = findUserByIdentifier(req.body);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a user id, email or username'
+      });
+    }
+
+    const user = await query;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // staff need a teacher account so the teacher-only routes let them in
+    if (user.role !== 'teacher') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only teacher accounts can be added as staff'
+      });
+    }
+
+    const currentRole = roleIn(classroom, user._id);
+    if (currentRole) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${currentRole === 'student' ? 'a student' : 'on the staff'} of this classroom`
+      });
+    }
+
+    classroom.staff.push({
+      user: user._id,
+      role,
+      addedBy: req.user.id
+    });
+    await classroom.save();
+
+    await User.findByIdAndUpdate(user._id, {
+      $addToSet: { classrooms: classroom._id }
+    });
+
+    joinClassroomRoom(user._id, classroom._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member added successfully',
+      member: formatMember(user, role)
+    });
+  } catch (error) {
+    console.error('Add staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding staff member',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a staff member's role
+// @route   PUT /api/classrooms/:id/staff/:userId
+// @access  Private (Classroom owner only)
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Classroom.STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Classroom.STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    if (!can(classroom, req.user.id, 'manageStaff')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom owner can manage staff'
+      });
+    }
+
+    const member = classroom.staff.find(entry => entry.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    member.role = role;
+    await classroom.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated successfully',
+      member: {
+        id: member.user,
+        role: member.role
+      }
+    });
+  } catch (error) {
+    console.error('Update staff role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating staff role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a staff member (or step down yourself)
+// @route   DELETE /api/classrooms/:id/staff/:userId
+// @access  Private (Classroom owner, or the staff member themselves)
+exports.removeStaff = async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    const isSelf = req.params.userId === req.user.id;
+
+    if (!isSelf && !can(classroom, req.user.id, 'manageStaff')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom owner can manage staff'
+      });
+    }
+
+    const isMember = classroom.staff.some(entry => entry.user.toString() === req.params.userId);
+
+    if (!isMember) {
+      return res.status(404).json({
+        success: false,
+        message: classroom.teacher.toString() === req.params.userId
+          ? 'The owner cannot be removed; transfer ownership first'
+          : 'Staff member not found'
+      });
+    }
+
+    classroom.staff = classroom.staff.filter(
+      entry => entry.user.toString() !== req.params.userId
+    );
+    await classroom.save();
+
+    await User.findByIdAndUpdate(req.params.userId, {
+      $pull: { classrooms: classroom._id }
+    });
+
+    leaveClassroomRoom(req.params.userId, classroom._id);
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the classroom staff' : 'Staff member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing staff member',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Hand the classroom to another teacher (the old owner stays on as co-teacher)
+// @route   PUT /api/classrooms/:id/staff/owner
+// @access  Private (Classroom owner only)
+exports.transferOwnership = async (req, res) => {
+  try {
+    const classroom = await loadClassroom(req, res);
+    if (!classroom) return;
+
+    if (!can(classroom, req.user.id, 'transferOwnership')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the classroom owner can transfer ownership'
+      });
+    }
+
+    const query = findUserByIdentifier(req.body);
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a user id, email or username'
+      });
+    }
+
+    const user = await query;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role !== 'teacher' || !user.isApprovedTeacher() || user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ownership can only be transferred to an approved teacher'
+      });
+    }
+
+    const currentRole = roleIn(classroom, user._id);
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'User already owns this classroom'
+      });
+    }
+    if (currentRole === 'student') {
+      return res.status(400).json({
+        success: false,
+        message: 'User is a student in this classroom'
+      });
+    }
+
+    const previousOwner = classroom.teacher;
+
+    classroom.staff = classroom.staff.filter(
+      entry => entry.user.toString() !== user._id.toString()
+    );
+    classroom.staff.push({
+      user: previousOwner,
+      role: 'co-teacher',
+      addedBy: req.user.id
+    });
+    classroom.teacher = user._id;
+    await classroom.save();
+
+    await User.findByIdAndUpdate(user._id, {
+      $addToSet: { classrooms: classroom._id }
+    });
+
+    joinClassroomRoom(user._id, classroom._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      owner: formatMember(user, 'owner')
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring ownership',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,149 @@
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const Classroom = require('../models/Classroom');
+const SubmissionVersion = require('../models/SubmissionVersion');
+const Extension = require('../models/Extension');
+const File = require('../models/File');
+const { diffLines } = require('../utils/diff');
+const User = require('../models/User');
+const { applyGrade } = require('../services/grading');
+const { notify, nameOf } = require('../services/notification');
+const { emitToUser } = require('../services/realtime');
+const { can, staffWith, isArchived } = require('../utils/permissions');
+const { sendSpreadsheet, parseCsv } = require('../utils/spreadsheet');
+
+// turn the attachments in a request into stored files the student uploaded for this assignment
+// returns { attachments } (null when none were sent) or { error }
+const resolveAttachments = async (attachments, assignmentId, userId) => {
+  if (attachments === undefined || attachments === null) {
+    return { attachments: null };
+  }
+
+  if (!Array.isArray(attachments)) {
+    return { error: 'Attachments must be a list' };
+  }
+
+  const publicIds = attachments.map(file => file && file.publicId);
+  if (publicIds.some(publicId => typeof publicId !== 'string')) {
+    return { error: 'Each attachment needs the publicId returned by the upload' };
+  }
+
+  const files = await File.find({
+    publicId: { $in: publicIds },
+    uploadedBy: userId,
+    purpose: 'submission',
+    assignment: assignmentId
+  });
+
+  if (files.length !== new Set(publicIds).size) {
+    return { error: 'Attachments must be files you uploaded for this assignment' };
+  }
+
+  // file details come from the upload record, not the request
+  return {
+    attachments: files.map(file => ({
+      fileName: file.fileName,
+      publicId: file.publicId,
+      fileType: file.fileType,
+      fileSize: file.fileSize
+    }))
+  };
+};
+
+// link uploaded files to the submission, so they are only visible to its student and staff
+const linkAttachments = (submission) => {
+  const publicIds = submission.attachments.map(file => file.publicId).filter(Boolean);
+  if (publicIds.length === 0) return null;
+
+  return File.updateMany(
+    { publicId: { $in: publicIds }, uploadedBy: submission.student },
+    { submission: submission._id }
+  );
+};
+
+// snapshot the submission as its latest version
+const recordVersion = (submission, assignment, action) => {
+  return SubmissionVersion.create({
+    submission: submission._id,
+    assignment: assignment._id,
+    student: submission.student,
+    version: submission.versionCount,
+    action,
+    content: submission.content,
+    attachments: submission.attachments
+  });
+};
+
+// compact submission data for live events
+const submissionEvent = (submission) => ({
+  id: submission._id,
+  assignment: submission.assignment._id || submission.assignment,
+  student: submission.student._id || submission.student,
+  classroom: submission.classroom,
+  status: submission.status,
+  grade: submission.grade,
+  finalGrade: submission.finalGrade,
+  isLate: submission.isLate,
+  submittedAt: submission.submittedAt,
+  gradedAt: submission.gradedAt
+});
+
+// tell the classroom's graders a student handed work in (live, and as a notification)
+const notifySubmitted = (submission, assignment, classroom, student) => {
+  const graders = staffWith(classroom, 'grade');
+  graders.forEach(grader => emitToUser(grader, 'submission:submitted', submissionEvent(submission)));
+
+  return notify(graders, {
+    type: 'submission_received',
+    title: `New submission for ${assignment.title}`,
+    message: `${nameOf(student)} submitted "${assignment.title}".`,
+    actor: student._id,
+    classroom: assignment.classroom,
+    assignment: assignment._id,
+    submission: submission._id
+  });
+};
+
+// tell the student their grade was posted (live, and as a notification)
+const notifyGraded = (submission, assignment) => {
+  emitToUser(submission.student, 'submission:graded', submissionEvent(submission));
+
+  return notify(submission.student, {
+    type: 'submission_graded',
+    title: `Grade posted for ${assignment.title}`,
+    message: `Your submission for "${assignment.title}" was graded: ${submission.finalGrade}/${assignment.totalPoints}.`,
+    actor: submission.gradedBy,
+    classroom: assignment.classroom,
+    assignment: assignment._id,
+    submission: submission._id
+  });
+};
+
+// load a submission and check the user is its student or can grade in its classroom
+const findAccessibleSubmission = async (req, res) => {
+  const submission = await Submission.findById(req.params.id).populate('assignment', 'teacher title');
+
+  if (!submission) {
+    res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+    return null;
+  }
+
+  const classroom = await Classroom.findById(submission.classroom);
+  const isOwner = submission.student.toString() === req.user.id;
+
+  if (!can(classroom, req.user.id, 'grade') && !isOwner) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to view this submission'
+    });
+    return null;
+  }
+
+  return submission;
+};
 
 // @desc    Create or update submission
 // @route   POST /api/submissions
@@ -26,6 +169,13 @@ exports.createSubmission = async (req, res) => {
       });
     }
 
+    if (assignmentDoc.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment is closed and no longer accepts submissions'
+      });
+    }
+
     if (assignmentDoc.status !== 'published') {
       return res.status(400).json({
         success: false,
@@ -46,11 +196,10 @@ exports.createSubmission = async (req, res) => {
       });
     }
 
-    // check if late submissions are allowed
-    if (!assignmentDoc.allowLateSubmission && new Date() > assignmentDoc.dueDate) {
-      return res.status(400).json({
+    if (isArchived(classroom)) {
+      return res.status(403).json({
         success: false,
-        message: 'This assignment no longer accepts submissions (past due date)'
+        message: 'This classroom is archived and read-only'
       });
     }
 
@@ -60,20 +209,79 @@ exports.createSubmission = async (req, res) => {
       student: req.user.id
     });
 
+    // check if late submissions are allowed (grace period, hard cutoff and the student's extensions);
+    // revisions the teacher asked for can be handed in after the due date
+    if (!submission || submission.status !== 'returned') {
+      const dueDate = await Extension.effectiveDueDate(assignmentDoc, req.user.id);
+      const closedReason = assignmentDoc.submissionClosedReason(new Date(), dueDate);
+      if (closedReason) {
+        return res.status(400).json({
+          success: false,
+          message: closedReason
+        });
+      }
+    }
+
+    const resolved = await resolveAttachments(attachments, assignmentDoc._id, req.user.id);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
     if (submission) {
-      // don't allow updates after submission is graded
-      if (submission.status === 'graded' || submission.status === 'returned') {
+      // don't allow updates after submission is graded (returned submissions can be revised)
+      if (submission.status === 'graded') {
         return res.status(400).json({
           success: false,
           message: 'Cannot modify submission after it has been graded'
         });
       }
 
+      // a returned submission stays returned until the student submits the revision
+      const isRevision = submission.status === 'returned';
+      let nextStatus = status || submission.status;
+      if (isRevision && nextStatus !== 'submitted') {
+        nextStatus = 'returned';
+      }
+
+      // saving a submission that was already submitted counts as a resubmission,
+      // except for revisions the teacher asked for
+      const isResubmission = nextStatus === 'submitted' && Boolean(submission.submittedAt) && !isRevision;
+      const { maxResubmissions } = assignmentDoc;
+
+      if (
+        isResubmission &&
+        maxResubmissions !== null &&
+        maxResubmissions !== undefined &&
+        submission.resubmissionCount >= maxResubmissions
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `You have used all ${maxResubmissions} resubmission(s) for this assignment`
+        });
+      }
+
       // update existing submission
       submission.content = content || submission.content;
-      submission.attachments = attachments || submission.attachments;
-      submission.status = status || submission.status;
+      submission.attachments = resolved.attachments || submission.attachments;
+      submission.status = nextStatus;
+      if (nextStatus === 'submitted' && submission.revisionRound <= 1) {
+        submission.submittedAt = Date.now();
+      }
+      submission.versionCount += 1;
+      if (isResubmission) {
+        submission.resubmissionCount += 1;
+      }
       await submission.save();
+      await linkAttachments(submission);
+
+      await recordVersion(submission, assignmentDoc, nextStatus === 'submitted' ? 'submitted' : 'saved');
+
+      if (nextStatus === 'submitted') {
+        await notifySubmitted(submission, assignmentDoc, classroom, req.user);
+      }
 
       return res.status(200).json({
         success: true,
@@ -88,9 +296,17 @@ exports.createSubmission = async (req, res) => {
       student: req.user.id,
       classroom: assignmentDoc.classroom,
       content,
-      attachments: attachments || [],
-      status: status || 'draft'
+      attachments: resolved.attachments || [],
+      status: status || 'draft',
+      versionCount: 1
     });
+    await linkAttachments(submission);
+
+    await recordVersion(submission, assignmentDoc, submission.status === 'submitted' ? 'submitted' : 'saved');
+
+    if (submission.status === 'submitted') {
+      await notifySubmitted(submission, assignmentDoc, classroom, req.user);
+    }
 
     // add submission to assignment
     assignmentDoc.submissions.push(submission._id);
@@ -133,11 +349,12 @@ exports.getAssignmentSubmissions = async (req, res) => {
       });
     }
 
-    // check if user is the teacher
-    if (assignment.teacher.toString() !== req.user.id) {
+    // check if user can grade in this classroom
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'grade')) {
       return res.status(403).json({
         success: false,
-        message: 'Only the assignment teacher can view submissions'
+        message: 'Only classroom teachers and TAs can view submissions'
       });
     }
 
@@ -172,8 +389,9 @@ exports.getMySubmission = async (req, res) => {
       assignment: assignmentId,
       student: req.user.id
     })
-      .populate('assignment', 'title description dueDate totalPoints')
-      .populate('gradedBy', 'username firstName lastName');
+      .populate('assignment', 'title description dueDate totalPoints rubric')
+      .populate('gradedBy', 'username firstName lastName')
+      .populate('gradeHistory.gradedBy', 'username firstName lastName');
 
     if (!submission) {
       return res.status(404).json({
@@ -201,7 +419,7 @@ exports.getMySubmission = async (req, res) => {
 // @access  Private (Teacher only)
 exports.gradeSubmission = async (req, res) => {
   try {
-    const { grade, feedback } = req.body;
+    const { grade, feedback, rubricScores } = req.body;
 
     const submission = await Submission.findById(req.params.id)
       .populate('assignment');
@@ -213,31 +431,34 @@ exports.gradeSubmission = async (req, res) => {
       });
     }
 
-    // check if user is the teacher
-    if (submission.assignment.teacher.toString() !== req.user.id) {
+    // check if user can grade in this classroom
+    const classroom = await Classroom.findById(submission.classroom);
+    if (!can(classroom, req.user.id, 'grade')) {
       return res.status(403).json({
         success: false,
-        message: 'Only the assignment teacher can grade submissions'
+        message: 'Only classroom teachers and TAs can grade submissions'
       });
     }
 
-    // validate grade
-    if (grade !== undefined) {
-      if (grade < 0 || grade > submission.assignment.totalPoints) {
-        return res.status(400).json({
-          success: false,
-          message: `Grade must be between 0 and ${submission.assignment.totalPoints}`
-        });
-      }
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const gradeError = applyGrade(submission, { grade, feedback, rubricScores }, req.user.id);
+    if (gradeError) {
+      return res.status(400).json({
+        success: false,
+        message: gradeError
+      });
     }
 
-    // update submission
-    submission.grade = grade;
-    submission.feedback = feedback;
-    submission.gradedBy = req.user.id;
-    submission.status = 'graded';
     await submission.save();
 
+    await notifyGraded(submission, submission.assignment);
+
     // populate for response
     await submission.populate([
       { path: 'student', select: 'username email firstName lastName' },
@@ -260,6 +481,190 @@ exports.gradeSubmission = async (req, res) => {
   }
 };
 
+// @desc    Return a submission to the student for revision
+// @route   PUT /api/submissions/:id/return
+// @access  Private (Teacher only)
+exports.returnSubmission = async (req, res) => {
+  try {
+    const { comments } = req.body;
+
+    if (!comments) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide comments for the student'
+      });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // check if user can grade in this classroom
+    const classroom = await Classroom.findById(submission.classroom);
+    if (!can(classroom, req.user.id, 'grade')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers and TAs can return submissions'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    if (submission.status !== 'submitted' && submission.status !== 'graded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted or graded submissions can be returned'
+      });
+    }
+
+    // close the current round and start the next one
+    const round = submission.currentRound();
+    round.returnComments = comments;
+    round.returnedAt = Date.now();
+
+    submission.status = 'returned';
+    submission.returnComments = comments;
+    submission.returnedAt = Date.now();
+    submission.revisionRound += 1;
+
+    // the round's grade lives on in gradeHistory; the revision is graded afresh,
+    // so the gradebook and course grade don't count it in the meantime
+    submission.grade = undefined;
+    submission.rubricScores = [];
+    submission.gradedBy = undefined;
+    submission.gradedAt = undefined;
+    await submission.save();
+
+    emitToUser(submission.student, 'submission:returned', submissionEvent(submission));
+
+    // populate for response
+    await submission.populate([
+      { path: 'student', select: 'username email firstName lastName' },
+      { path: 'assignment', select: 'title totalPoints' },
+      { path: 'gradedBy', select: 'username firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission returned for revision',
+      submission
+    });
+  } catch (error) {
+    console.error('Return submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error returning submission',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Waive (or restore) the late penalty on a submission
+// @route   PUT /api/submissions/:id/waive-penalty
+// @access  Private (Teacher only)
+exports.waiveLatePenalty = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const waive = req.body.waive !== false;
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('assignment');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // check if user can manage assignments in this classroom
+    const classroom = await Classroom.findById(submission.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers can waive late penalties'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const isWaived = Boolean(submission.penaltyWaiver && submission.penaltyWaiver.waivedAt);
+
+    if (waive) {
+      if (isWaived) {
+        return res.status(400).json({
+          success: false,
+          message: 'The late penalty is already waived'
+        });
+      }
+      if (!submission.isLate || !submission.penaltyApplied) {
+        return res.status(400).json({
+          success: false,
+          message: 'This submission has no late penalty to waive'
+        });
+      }
+
+      submission.penaltyWaiver = {
+        waivedBy: req.user.id,
+        waivedAt: Date.now(),
+        reason,
+        originalPenalty: submission.penaltyApplied
+      };
+      submission.penaltyApplied = 0;
+    } else {
+      if (!isWaived) {
+        return res.status(400).json({
+          success: false,
+          message: 'The late penalty is not waived'
+        });
+      }
+
+      submission.penaltyApplied = submission.penaltyWaiver.originalPenalty || 0;
+      submission.penaltyWaiver = undefined;
+    }
+
+    await submission.save();
+
+    emitToUser(submission.student, 'submission:graded', submissionEvent(submission));
+
+    // populate for response
+    await submission.populate([
+      { path: 'student', select: 'username email firstName lastName' },
+      { path: 'assignment', select: 'title totalPoints' },
+      { path: 'penaltyWaiver.waivedBy', select: 'username firstName lastName' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: waive ? 'Late penalty waived' : 'Late penalty restored',
+      submission
+    });
+  } catch (error) {
+    console.error('Waive late penalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating late penalty',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all submissions by a student in a classroom
 // @route   GET /api/submissions/classroom/:classroomId/student/:studentId
 // @access  Private (Teacher or own student)
@@ -276,11 +681,10 @@ exports.getStudentSubmissions = async (req, res) => {
       });
     }
 
-    // check access (teacher or own submissions)
-    const isTeacher = classroom.teacher.toString() === req.user.id;
+    // check access (classroom staff or own submissions)
     const isOwnSubmissions = studentId === req.user.id;
 
-    if (!isTeacher && !isOwnSubmissions) {
+    if (!can(classroom, req.user.id, 'grade') && !isOwnSubmissions) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view these submissions'
@@ -339,12 +743,21 @@ exports.deleteSubmission = async (req, res) => {
       });
     }
 
+    const classroom = await Classroom.findById(submission.classroom);
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
     // remove from assignment
     await Assignment.findByIdAndUpdate(
       submission.assignment,
       { $pull: { submissions: submission._id } }
     );
 
+    await SubmissionVersion.deleteMany({ submission: submission._id });
     await submission.deleteOne();
 
     res.status(200).json({
@@ -359,4 +772,355 @@ exports.deleteSubmission = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// @desc    Get version history of a submission
+// @route   GET /api/submissions/:id/versions
+// @access  Private (Classroom staff or own student)
+exports.getSubmissionVersions = async (req, res) => {
+  try {
+    const submission = await findAccessibleSubmission(req, res);
+    if (!submission) return;
+
+    const versions = await SubmissionVersion.find({ submission: submission._id })
+      .select('-content -attachments')
+      .sort('version');
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    console.error('Get submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching submission versions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single version of a submission
+// @route   GET /api/submissions/:id/versions/:version
+// @access  Private (Classroom staff or own student)
+exports.getSubmissionVersion = async (req, res) => {
+  try {
+    const submission = await findAccessibleSubmission(req, res);
+    if (!submission) return;
+
+    const version = await SubmissionVersion.findOne({
+      submission: submission._id,
+      version: Number(req.params.version)
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('Get submission version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching submission version',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Compare two versions of a submission
+// @route   GET /api/submissions/:id/versions/diff?from=1&to=2
+// @access  Private (Classroom staff or own student)
+exports.diffSubmissionVersions = async (req, res) => {
+  try {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the from and to version numbers'
+      });
+    }
+
+    const submission = await findAccessibleSubmission(req, res);
+    if (!submission) return;
+
+    const [fromVersion, toVersion] = await Promise.all([
+      SubmissionVersion.findOne({ submission: submission._id, version: from }),
+      SubmissionVersion.findOne({ submission: submission._id, version: to })
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const fromIds = fromVersion.attachments.map(file => file.publicId);
+    const toIds = toVersion.attachments.map(file => file.publicId);
+
+    res.status(200).json({
+      success: true,
+      diff: {
+        from: { version: fromVersion.version, action: fromVersion.action, createdAt: fromVersion.createdAt },
+        to: { version: toVersion.version, action: toVersion.action, createdAt: toVersion.createdAt },
+        content: diffLines(fromVersion.content, toVersion.content),
+        attachments: {
+          added: toVersion.attachments.filter(file => !fromIds.includes(file.publicId)),
+          removed: fromVersion.attachments.filter(file => !toIds.includes(file.publicId))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Diff submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing submission versions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export an assignment's submissions as CSV or XLSX
+// @route   GET /api/submissions/assignment/:assignmentId/export?format=csv|xlsx
+// @access  Private (Teacher only)
+exports.exportAssignmentSubmissions = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    // check if user can grade in this classroom
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'grade')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers and TAs can export submissions'
+      });
+    }
+
+    // every enrolled student gets a row, so the file doubles as an import template
+    const [students, submissions] = await Promise.all([
+      User.find({ _id: { $in: classroom.students } })
+        .select('username email firstName lastName')
+        .sort('lastName firstName'),
+      Submission.find({ assignment: assignment._id })
+    ]);
+
+    const byStudent = new Map(
+      submissions.map(submission => [submission.student.toString(), submission])
+    );
+
+    const headers = [
+      'Last Name',
+      'First Name',
+      'Username',
+      'Email',
+      'Status',
+      'Submitted At',
+      'Late',
+      'Grade',
+      'Penalty',
+      'Final Grade',
+      'Feedback'
+    ];
+
+    const rows = students.map(student => {
+      const submission = byStudent.get(student._id.toString());
+      return [
+        student.lastName,
+        student.firstName,
+        student.username,
+        student.email,
+        submission ? submission.status : 'not submitted',
+        submission ? submission.submittedAt : '',
+        submission && submission.isLate ? 'yes' : 'no',
+        submission ? submission.grade : '',
+        submission ? submission.penaltyApplied : '',
+        submission ? submission.finalGrade : '',
+        submission ? submission.feedback : ''
+      ];
+    });
+
+    await sendSpreadsheet(res, format, `${assignment.title}-submissions`, {
+      sheetName: 'Submissions',
+      headers,
+      rows
+    });
+  } catch (error) {
+    console.error('Export submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting submissions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Bulk grade an assignment from a CSV (email or username, grade, feedback)
+// @route   POST /api/submissions/assignment/:assignmentId/import?dryRun=true
+// @access  Private (Teacher only)
+exports.importGrades = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    // accept an uploaded file or raw CSV text in the body
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    const assignment = await Assignment.findById(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    // check if user can grade in this classroom
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'grade')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only classroom teachers and TAs can import grades'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    const records = parseCsv(csvText);
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV file has no rows'
+      });
+    }
+
+    const columns = Object.keys(records[0]);
+    if ((!columns.includes('email') && !columns.includes('username')) || !columns.includes('grade')) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV needs an email or username column and a grade column'
+      });
+    }
+
+    const submissions = await Submission.find({ assignment: assignment._id })
+      .populate('student', 'username email firstName lastName');
+
+    // every submission shares the one assignment document for validation
+    const lookup = new Map();
+    submissions.forEach(submission => {
+      submission.assignment = assignment;
+      lookup.set(submission.student.email.toLowerCase(), submission);
+      lookup.set(submission.student.username.toLowerCase(), submission);
+    });
+
+    const seen = new Set();
+    const report = [];
+
+    for (const record of records) {
+      const identifier = (record.email || record.username || '').toLowerCase();
+      const entry = {
+        row: record.line,
+        student: identifier,
+        grade: record.grade
+      };
+
+      const submission = lookup.get(identifier);
+
+      if (!identifier) {
+        entry.status = 'error';
+        entry.error = 'Missing email or username';
+      } else if (!submission) {
+        entry.status = 'error';
+        entry.error = 'No submission found for this student';
+      } else if (seen.has(submission._id.toString())) {
+        entry.status = 'error';
+        entry.error = 'Student appears more than once in the file';
+      } else if (record.grade === '') {
+        entry.status = 'error';
+        entry.error = 'Grade is required';
+      } else {
+        seen.add(submission._id.toString());
+        entry.previousGrade = submission.grade === undefined ? null : submission.grade;
+
+        const feedback = 'feedback' in record ? record.feedback : submission.feedback;
+        const gradeError = applyGrade(submission, { grade: record.grade, feedback }, req.user.id);
+
+        if (gradeError) {
+          entry.status = 'error';
+          entry.error = gradeError;
+        } else if (dryRun) {
+          entry.status = 'valid';
+        } else {
+          try {
+            await submission.save();
+            await notifyGraded(submission, assignment);
+            entry.status = 'graded';
+          } catch (error) {
+            entry.status = 'error';
+            entry.error = error.message;
+          }
+        }
+      }
+
+      report.push(entry);
+    }
+
+    const errorCount = report.filter(entry => entry.status === 'error').length;
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Dry run complete, no grades were changed'
+        : `${report.length - errorCount} grade(s) imported`,
+      dryRun,
+      summary: {
+        total: report.length,
+        valid: report.length - errorCount,
+        errors: errorCount
+      },
+      rows: report
+    });
+  } catch (error) {
+    console.error('Import grades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing grades',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
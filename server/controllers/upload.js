@@ -1,8 +1,109 @@
-const { cloudinary } = require('../config/cloudinary');
+const File = require('../models/File');
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const storage = require('../services/storage');
+const { can, isStaff, isArchived } = require('../utils/permissions');
+
+// how long signed download links stay valid (seconds)
+const DOWNLOAD_URL_EXPIRES_IN = parseInt(process.env.DOWNLOAD_URL_EXPIRES_IN, 10) || 300;
+
+// work out what an upload belongs to, returns null if the user can't attach files there
+const getUploadContext = async (req) => {
+  // submission uploads are already checked by canUploadSubmission
+  if (req.assignment) {
+    return {
+      purpose: 'submission',
+      classroom: req.assignment.classroom,
+      assignment: req.assignment._id,
+      submission: req.submission ? req.submission._id : undefined
+    };
+  }
+
+  // teacher uploads name the assignment (or, before it exists, the classroom) they are for
+  if (req.body.assignment) {
+    const assignment = await Assignment.findById(req.body.assignment);
+    if (!assignment) {
+      return null;
+    }
+    const classroom = await Classroom.findById(assignment.classroom);
+    if (!can(classroom, req.user.id, 'manageAssignments') || isArchived(classroom)) {
+      return null;
+    }
+    return {
+      purpose: 'assignment',
+      classroom: assignment.classroom,
+      assignment: assignment._id
+    };
+  }
+
+  if (req.body.classroom) {
+    const classroom = await Classroom.findById(req.body.classroom);
+    if (!can(classroom, req.user.id, 'manageContent') || isArchived(classroom)) {
+      return null;
+    }
+    return {
+      purpose: 'assignment',
+      classroom: classroom._id
+    };
+  }
+
+  return null;
+};
+
+// teacher uploads must say which assignment or classroom they belong to,
+// otherwise the file has no classroom and its students could never open it
+const missingContext = (req) => !req.assignment && !req.body.assignment && !req.body.classroom;
+
+// store the ownership record for an uploaded file
+const recordFile = async (file, context, userId) => {
+  const details = storage.describeFile(file);
+  const record = await File.create({
+    ...details,
+    ...context,
+    storageDriver: storage.name,
+    uploadedBy: userId
+  });
+
+  // no direct URL: files are fetched through a signed link from the download endpoint
+  return {
+    id: record._id,
+    fileName: details.fileName,
+    fileType: details.fileType,
+    fileSize: details.fileSize,
+    publicId: details.publicId,
+    downloadUrl: `/api/upload/download/${encodeURIComponent(details.publicId)}`
+  };
+};
+
+// uploader, classroom staff and (except for submissions) enrolled students can view a file
+const canViewFile = async (file, userId) => {
+  if (file.uploadedBy.toString() === userId) return true;
+  if (!file.classroom) return false;
+
+  const classroom = await Classroom.findById(file.classroom);
+  if (classroom && isStaff(classroom, userId)) return true;
+  if (file.purpose === 'submission') return false;
+  if (classroom && classroom.students.some(student => student.toString() === userId)) return true;
+
+  // copied classrooms share material files with the classroom they came from
+  if (!file.sharedWith || file.sharedWith.length === 0) return false;
+  const sharing = await Classroom.find({ _id: { $in: file.sharedWith } }).select('teacher staff students');
+  return sharing.some(item => can(item, userId, 'view'));
+};
+
+// only the uploader or classroom teachers can delete a file (not while the classroom is archived)
+const canDeleteFile = async (file, userId) => {
+  const classroom = file.classroom ? await Classroom.findById(file.classroom) : null;
+  if (classroom && isArchived(classroom)) return false;
+
+  if (file.uploadedBy.toString() === userId) return true;
+  return can(classroom, userId, 'manageContent');
+};
 
 // @desc    Upload single file
 // @route   POST /api/upload/assignment
-// @access  Private (Teachers only)
+// @route   POST /api/upload/submission/:assignmentId
+// @access  Private (Teachers for assignments, enrolled students for submissions)
 exports.uploadSingle = async (req, res) => {
   try {
     if (!req.file) {
@@ -12,19 +113,34 @@ exports.uploadSingle = async (req, res) => {
       });
     }
 
+    if (missingContext(req)) {
+      await storage.discardFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the assignment or classroom the file is for'
+      });
+    }
+
+    const context = await getUploadContext(req);
+
+    if (!context) {
+      await storage.discardFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'You can only attach files to your own classrooms and assignments'
+      });
+    }
+
+    const file = await recordFile(req.file, context, req.user.id);
+
     res.status(200).json({
       success: true,
       message: 'File uploaded successfully',
-      file: {
-        fileName: req.file.originalname,
-        fileUrl: req.file.path,
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        publicId: req.file.filename
-      }
+      file
     });
   } catch (error) {
     console.error('Upload error:', error);
+    await storage.discardFile(req.file);
     res.status(500).json({
       success: false,
       message: 'Error uploading file',
@@ -35,7 +151,8 @@ exports.uploadSingle = async (req, res) => {
 
 // @desc    Upload multiple files
 // @route   POST /api/upload/assignment/multiple
-// @access  Private (Teachers only)
+// @route   POST /api/upload/submission/:assignmentId/multiple
+// @access  Private (Teachers for assignments, enrolled students for submissions)
 exports.uploadMultiple = async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
@@ -45,13 +162,27 @@ exports.uploadMultiple = async (req, res) => {
       });
     }
 
-    const files = req.files.map(file => ({
-      fileName: file.originalname,
-      fileUrl: file.path,
-      fileType: file.mimetype,
-      fileSize: file.size,
-      publicId: file.filename
-    }));
+    if (missingContext(req)) {
+      await Promise.all(req.files.map(file => storage.discardFile(file)));
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the assignment or classroom the files are for'
+      });
+    }
+
+    const context = await getUploadContext(req);
+
+    if (!context) {
+      await Promise.all(req.files.map(file => storage.discardFile(file)));
+      return res.status(403).json({
+        success: false,
+        message: 'You can only attach files to your own classrooms and assignments'
+      });
+    }
+
+    const files = await Promise.all(
+      req.files.map(file => recordFile(file, context, req.user.id))
+    );
 
     res.status(200).json({
       success: true,
@@ -60,6 +191,7 @@ exports.uploadMultiple = async (req, res) => {
     });
   } catch (error) {
     console.error('Upload error:', error);
+    await Promise.all((req.files || []).map(file => storage.discardFile(file)));
     res.status(500).json({
       success: false,
       message: 'Error uploading files',
@@ -68,26 +200,46 @@ exports.uploadMultiple = async (req, res) => {
   }
 };
 
-// @desc    Delete file from Cloudinary
+// @desc    Delete file from storage
 // @route   DELETE /api/upload/:publicId
-// @access  Private (Teachers only)
+// @access  Private (Uploader or classroom teachers)
 exports.deleteFile = async (req, res) => {
   try {
-    const { publicId } = req.params;
-    
-    const result = await cloudinary.uploader.destroy(publicId);
-
-    if (result.result === 'ok') {
-      res.status(200).json({
-        success: true,
-        message: 'File deleted successfully'
-      });
-    } else {
-      res.status(404).json({
+    const file = await File.findOne({ publicId: req.params.publicId });
+
+    if (!file) {
+      return res.status(404).json({
         success: false,
         message: 'File not found or already deleted'
       });
     }
+
+    if (!(await canDeleteFile(file, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this file'
+      });
+    }
+
+    // copied classrooms still use it; it goes once their materials are deleted
+    if (file.sharedWith && file.sharedWith.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This file is still used by copied classrooms and cannot be deleted'
+      });
+    }
+
+    // a file already missing from storage still has its record removed
+    await storage.deleteFile(file.publicId, {
+      resourceType: file.resourceType,
+      deliveryType: file.deliveryType
+    });
+    await file.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'File deleted successfully'
+    });
   } catch (error) {
     console.error('Delete file error:', error);
     res.status(500).json({
@@ -100,22 +252,41 @@ exports.deleteFile = async (req, res) => {
 
 // @desc    Get file info
 // @route   GET /api/upload/info/:publicId
-// @access  Private
+// @access  Private (Uploader, classroom staff, or enrolled students for classroom files)
 exports.getFileInfo = async (req, res) => {
   try {
-    const { publicId } = req.params;
-    
-    const result = await cloudinary.api.resource(publicId);
+    const file = await File.findOne({ publicId: req.params.publicId })
+      .populate('uploadedBy', 'username firstName lastName');
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await canViewFile(file, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this file'
+      });
+    }
 
     res.status(200).json({
       success: true,
       file: {
-        publicId: result.public_id,
-        format: result.format,
-        fileType: result.resource_type,
-        fileSize: result.bytes,
-        fileUrl: result.secure_url,
-        createdAt: result.created_at
+        id: file._id,
+        publicId: file.publicId,
+        fileName: file.fileName,
+        format: file.format,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        purpose: file.purpose,
+        classroom: file.classroom,
+        assignment: file.assignment,
+        submission: file.submission,
+        uploadedBy: file.uploadedBy,
+        createdAt: file.createdAt
       }
     });
   } catch (error) {
@@ -126,4 +297,51 @@ exports.getFileInfo = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get a signed, expiring download URL
+// @route   GET /api/upload/download/:publicId
+// @access  Private (Uploader, classroom staff, or enrolled students for classroom files)
+exports.getDownloadUrl = async (req, res) => {
+  try {
+    const file = await File.findOne({ publicId: req.params.publicId });
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await canViewFile(file, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this file'
+      });
+    }
+
+    const url = await storage.getSignedUrl(file.publicId, {
+      resourceType: file.resourceType,
+      deliveryType: file.deliveryType,
+      format: file.format,
+      expiresIn: DOWNLOAD_URL_EXPIRES_IN
+    });
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(url);
+    }
+
+    res.status(200).json({
+      success: true,
+      url,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_EXPIRES_IN * 1000)
+    });
+  } catch (error) {
+    console.error('Get download URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating download link',
+      error: error.message
+    });
+  }
+};
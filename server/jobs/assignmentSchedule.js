@@ -0,0 +1,127 @@
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const { notify } = require('../services/notification');
+
+// tell enrolled students about an assignment that just went live
+const notifyPublished = async (assignment) => {
+  const classroom = await Classroom.findById(assignment.classroom).select('name students');
+  if (!classroom) return;
+
+  await notify(classroom.students, {
+    type: 'assignment_published',
+    title: `New assignment: ${assignment.title}`,
+    message: `"${assignment.title}" was posted in ${classroom.name}.`,
+    actor: assignment.teacher,
+    classroom: classroom._id,
+    assignment: assignment._id
+  });
+};
+
+// let the class know an assignment stopped accepting submissions
+const notifyClosed = async (assignment) => {
+  const classroom = await Classroom.findById(assignment.classroom).select('name students');
+  if (!classroom) return;
+
+  await notify(classroom.students, {
+    type: 'assignment_closed',
+    title: `"${assignment.title}" is now closed`,
+    message: `Submissions for "${assignment.title}" in ${classroom.name} are no longer accepted.`,
+    actor: assignment.teacher,
+    classroom: classroom._id,
+    assignment: assignment._id
+  });
+};
+
+// move a published assignment to closed
+// the status condition makes this atomic: when several instances race, only one gets
+// the document back, so students are notified once
+const closePublishedAssignment = async (assignmentId, now = new Date()) => {
+  const assignment = await Assignment.findOneAndUpdate(
+    { _id: assignmentId, status: 'published' },
+    { status: 'closed', closedAt: now, updatedAt: now },
+    { new: true }
+  );
+
+  if (assignment) {
+    await notifyClosed(assignment);
+  }
+
+  return assignment;
+};
+
+// move a draft assignment to published (manual publish), atomically like closePublishedAssignment,
+// so a publish racing the scheduler only notifies students once
+const publishDraftAssignment = async (assignmentId, now = new Date()) => {
+  const assignment = await Assignment.findOneAndUpdate(
+    { _id: assignmentId, status: 'draft' },
+    {
+      status: 'published',
+      publishedAt: now,
+      updatedAt: now,
+      $unset: { publishAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (assignment) {
+    await notifyPublished(assignment);
+  }
+
+  return assignment;
+};
+
+// publish drafts whose publishAt has passed, claiming them one at a time
+// drafts in archived classrooms wait until the classroom is unarchived
+const publishScheduled = async (now) => {
+  const published = [];
+  const archived = await Classroom.distinct('_id', { isActive: false });
+
+  for (;;) {
+    const assignment = await Assignment.findOneAndUpdate(
+      { status: 'draft', publishAt: { $lte: now }, classroom: { $nin: archived } },
+      {
+        status: 'published',
+        publishedAt: now,
+        updatedAt: now,
+        $unset: { publishAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!assignment) break;
+    published.push(assignment);
+    await notifyPublished(assignment);
+  }
+
+  return published;
+};
+
+// close published assignments whose closeAt has passed
+const closeScheduled = async (now) => {
+  const due = await Assignment.find({ status: 'published', closeAt: { $lte: now } }).select('_id');
+  const closed = [];
+
+  for (const { _id } of due) {
+    const assignment = await closePublishedAssignment(_id, now);
+    if (assignment) closed.push(assignment);
+  }
+
+  return closed;
+};
+
+// scheduler job: apply every publishAt/closeAt that is due
+const runAssignmentSchedule = async (now = new Date()) => {
+  const published = await publishScheduled(now);
+  const closed = await closeScheduled(now);
+
+  if (published.length || closed.length) {
+    console.log(`Scheduler: published ${published.length}, closed ${closed.length} assignment(s)`);
+  }
+};
+
+module.exports = {
+  runAssignmentSchedule,
+  closePublishedAssignment,
+  publishDraftAssignment,
+  notifyPublished
+};
@@ -0,0 +1,119 @@
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const Submission = require('../models/Submission');
+const Extension = require('../models/Extension');
+const DueReminder = require('../models/DueReminder');
+const { notify } = require('../services/notification');
+const { isArchived } = require('../utils/permissions');
+
+const HOUR = 1000 * 60 * 60;
+
+// reminder windows in hours before the due date, e.g. DUE_REMINDER_WINDOWS=48,24,1
+const WINDOWS = (process.env.DUE_REMINDER_WINDOWS || '48,24,1')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0)
+  .sort((a, b) => a - b);
+
+// extensions can move a student's due date past the assignment's, so assignments due
+// up to this many days ago are still checked
+const LOOKBACK_DAYS = parseInt(process.env.DUE_REMINDER_LOOKBACK_DAYS, 10) || 14;
+
+// submissions in these statuses count as handed in
+const HANDED_IN = ['submitted', 'graded'];
+
+const describeWindow = (hours) => {
+  if (hours >= 24 && hours % 24 === 0) {
+    const days = hours / 24;
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+// tightest window the due date falls into, or null if it is too far off (or passed)
+const windowFor = (dueDate, now) => {
+  const hoursLeft = (dueDate - now) / HOUR;
+  if (hoursLeft <= 0) return null;
+  return WINDOWS.find(hours => hoursLeft <= hours) || null;
+};
+
+// record the reminder, returns false if it was already sent (by this or another instance)
+const claimReminder = async (assignment, student, windowHours, dueDate) => {
+  try {
+    await DueReminder.create({ assignment, student, windowHours, dueDate });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// remind the students of one assignment that haven't handed it in
+const remindForAssignment = async (assignment, now) => {
+  const classroom = await Classroom.findById(assignment.classroom).select('name students isActive');
+  if (!classroom || classroom.students.length === 0 || isArchived(classroom)) return 0;
+
+  const handedIn = await Submission.distinct('student', {
+    assignment: assignment._id,
+    status: { $in: HANDED_IN }
+  });
+  const handedInIds = new Set(handedIn.map(id => id.toString()));
+  const students = classroom.students.filter(student => !handedInIds.has(student.toString()));
+  if (students.length === 0) return 0;
+
+  const dueDates = await Extension.effectiveDueDates(classroom._id, [assignment], students);
+
+  // group students by window so each window is one notify call
+  const byWindow = new Map();
+  for (const student of students) {
+    const dueDate = dueDates.get(`${student}:${assignment._id}`) || assignment.dueDate;
+    const windowHours = windowFor(dueDate, now);
+    if (!windowHours) continue;
+
+    if (await claimReminder(assignment._id, student, windowHours, dueDate)) {
+      if (!byWindow.has(windowHours)) byWindow.set(windowHours, []);
+      byWindow.get(windowHours).push(student);
+    }
+  }
+
+  let sent = 0;
+  for (const [windowHours, recipients] of byWindow) {
+    await notify(recipients, {
+      type: 'assignment_due_soon',
+      title: `"${assignment.title}" is due within ${describeWindow(windowHours)}`,
+      message: `"${assignment.title}" in ${classroom.name} is due within ${describeWindow(windowHours)} and you haven't submitted it yet.`,
+      classroom: classroom._id,
+      assignment: assignment._id
+    });
+    sent += recipients.length;
+  }
+
+  return sent;
+};
+
+// scheduler job: send due-date reminders for every window that was reached
+const sendDueReminders = async (now = new Date()) => {
+  if (WINDOWS.length === 0) return;
+
+  const largestWindow = WINDOWS[WINDOWS.length - 1];
+  const assignments = await Assignment.find({
+    status: 'published',
+    dueDate: {
+      $gt: new Date(now.getTime() - LOOKBACK_DAYS * 24 * HOUR),
+      $lte: new Date(now.getTime() + largestWindow * HOUR)
+    }
+  }).select('title classroom dueDate publishedAt createdAt');
+
+  let sent = 0;
+  for (const assignment of assignments) {
+    sent += await remindForAssignment(assignment, now);
+  }
+
+  if (sent) {
+    console.log(`Due reminders: sent ${sent} reminder(s)`);
+  }
+};
+
+module.exports = {
+  sendDueReminders
+};
@@ -0,0 +1,50 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { queueEmail } = require('../services/email');
+
+// digests go out once a day, from this hour (server time) on
+const DIGEST_HOUR = process.env.EMAIL_DIGEST_HOUR !== undefined
+  ? parseInt(process.env.EMAIL_DIGEST_HOUR, 10)
+  : 7;
+
+// scheduler job: queue one digest email per daily-digest user with pending notifications
+const sendDailyDigests = async (now = new Date()) => {
+  if (now.getHours() < DIGEST_HOUR) return;
+
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const recipients = await Notification.distinct('recipient', { emailPending: true });
+
+  for (const recipientId of recipients) {
+    // claim today's digest for this user; other instances skip users already claimed
+    const user = await User.findOneAndUpdate(
+      {
+        _id: recipientId,
+        'notificationPreferences.emailFrequency': 'daily',
+        $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: startOfDay } }]
+      },
+      { lastDigestAt: now },
+      { new: true }
+    );
+
+    if (!user) continue;
+
+    const notifications = await Notification.find({
+      recipient: user._id,
+      emailPending: true
+    }).sort('createdAt');
+
+    if (notifications.length === 0) continue;
+
+    await queueEmail(user.email, 'digest', { user, notifications }, user._id);
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(notification => notification._id) } },
+      { emailPending: false }
+    );
+  }
+};
+
+module.exports = {
+  sendDailyDigests
+};
@@ -0,0 +1,65 @@
+const EmailMessage = require('../models/EmailMessage');
+const { deliver } = require('../services/email');
+
+// most messages handled per scheduler tick
+const BATCH_SIZE = 50;
+
+// a message stuck in 'sending' this long (worker crashed mid-send) is picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// wait 2, 4, 8... minutes between attempts, at most an hour
+const retryDelay = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+// claim the next due message; the status change is atomic so instances never share one
+const claimNext = (now) => {
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// scheduler job: send queued emails, retrying failures with backoff
+const processEmailQueue = async (now = new Date()) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await claimNext(now);
+    if (!message) break;
+
+    try {
+      await deliver(message);
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.lastError = undefined;
+      sent++;
+    } catch (error) {
+      message.lastError = error.message;
+
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'failed';
+        failed++;
+      } else {
+        message.status = 'pending';
+        message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+      }
+    }
+
+    message.lockedAt = undefined;
+    await message.save();
+  }
+
+  if (sent || failed) {
+    console.log(`Email queue: sent ${sent}, gave up on ${failed} message(s)`);
+  }
+};
+
+module.exports = {
+  processEmailQueue
+};
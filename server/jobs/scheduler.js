@@ -0,0 +1,55 @@
+const { runAssignmentSchedule } = require('./assignmentSchedule');
+const { sendDueReminders } = require('./dueReminders');
+const { processEmailQueue } = require('./emailQueue');
+const { sendDailyDigests } = require('./emailDigest');
+
+// background jobs run inside the server process on a fixed interval
+// every job must be safe to run on several server instances at the same time
+const jobs = [
+  { name: 'assignment-schedule', run: runAssignmentSchedule },
+  { name: 'due-reminders', run: sendDueReminders },
+  { name: 'email-digest', run: sendDailyDigests },
+  { name: 'email-queue', run: processEmailQueue }
+];
+
+const INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// run every job once, skipping the tick if the previous one is still going
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  const now = new Date();
+  for (const job of jobs) {
+    try {
+      await job.run(now);
+    } catch (error) {
+      console.error(`Scheduler job ${job.name} error:`, error);
+    }
+  }
+
+  running = false;
+};
+
+const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(tick, INTERVAL);
+  tick();
+  console.log(`scheduler running every ${INTERVAL / 1000}s`);
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
@@ -1,5 +1,22 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// verify an access token, check its session is still live and load the user (exclude password)
+// shared by protect and the socket layer
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive()) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, session };
+};
+
+exports.verifyAccessToken = verifyAccessToken;
 
 // protect routes
 exports.protect = async (req, res, next) => {
@@ -23,11 +40,10 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // verifying token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get user from token (exclude password)
-    req.user = await User.findById(decoded.id).select('-password');
+    // verify token and get user (and session) from it
+    const { user, session } = await verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
 
     if (!req.user) {
       return res.status(401).json({
@@ -36,6 +52,13 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (req.user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended'
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -57,4 +80,17 @@ exports.authorize = (...roles) => {
     }
     next();
   };
+};
+
+// teachers need an approved account for some actions (e.g. creating classrooms)
+exports.requireApprovedTeacher = (req, res, next) => {
+  if (!req.user.isApprovedTeacher()) {
+    return res.status(403).json({
+      success: false,
+      message: req.user.teacherStatus === 'rejected'
+        ? 'Your teacher account was not approved'
+        : 'Your teacher account is waiting for admin approval'
+    });
+  }
+  next();
 };
\ No newline at end of file
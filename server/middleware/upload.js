@@ -0,0 +1,89 @@
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const Submission = require('../models/Submission');
+const Extension = require('../models/Extension');
+const { isArchived } = require('../utils/permissions');
+
+// make sure a student may upload files for an assignment before multer accepts them
+exports.canUploadSubmission = async (req, res, next) => {
+  try {
+    const assignment = await Assignment.findById(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    if (assignment.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment is closed and no longer accepts submissions'
+      });
+    }
+
+    if (assignment.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot upload files for an unpublished assignment'
+      });
+    }
+
+    // check if student is in the classroom
+    const classroom = await Classroom.findById(assignment.classroom);
+    const isEnrolled = classroom && classroom.students.some(
+      student => student.toString() === req.user.id
+    );
+
+    if (!isEnrolled) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this classroom'
+      });
+    }
+
+    if (isArchived(classroom)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This classroom is archived and read-only'
+      });
+    }
+
+    // files can't be added once the submission is graded (returned ones can be revised)
+    const submission = await Submission.findOne({
+      assignment: assignment._id,
+      student: req.user.id
+    });
+
+    if (submission && submission.status === 'graded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot upload files after the submission has been graded'
+      });
+    }
+
+    // revisions the teacher asked for aren't held to the due date
+    if (!submission || submission.status !== 'returned') {
+      const dueDate = await Extension.effectiveDueDate(assignment, req.user.id);
+      const closedReason = assignment.submissionClosedReason(new Date(), dueDate);
+      if (closedReason) {
+        return res.status(400).json({
+          success: false,
+          message: closedReason
+        });
+      }
+    }
+
+    req.assignment = assignment;
+    req.submission = submission;
+    next();
+  } catch (error) {
+    console.error('Upload permission check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking upload permissions',
+      error: error.message
+    });
+  }
+};
@@ -26,21 +26,23 @@ const assignmentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please provide a due date']
   },
+  // one of the classroom's gradeCategories
+  category: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   totalPoints: {
     type: Number,
     required: [true, 'Please provide total points'],
     min: [0, 'Points cannot be negative'],
     default: 100
   },
+  // files are fetched through the upload download endpoint by publicId
   attachments: [{
     fileName: {
       type: String,
       required: true
     },
-    fileUrl: {
-      type: String,
-      required: true
-    },
+    publicId: String,
     fileType: String,
     fileSize: Number,
     uploadedAt: {
@@ -48,6 +50,32 @@ const assignmentSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // grading rubric: each criterion has performance levels worth a number of points
+  rubric: [{
+    title: {
+      type: String,
+      required: [true, 'Please provide a criterion title'],
+      trim: true,
+      maxlength: [200, 'Criterion title cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Criterion description cannot exceed 1000 characters']
+    },
+    levels: [{
+      title: {
+        type: String,
+        required: [true, 'Please provide a level title'],
+        trim: true
+      },
+      description: String,
+      points: {
+        type: Number,
+        required: [true, 'Please provide points for each level'],
+        min: [0, 'Points cannot be negative']
+      }
+    }]
+  }],
   instructions: {
     type: String,
     maxlength: [5000, 'Instructions cannot exceed 5000 characters']
@@ -56,12 +84,41 @@ const assignmentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // percent of totalPoints taken off per latePenaltyUnit late
   lateSubmissionPenalty: {
     type: Number,
     min: [0, 'Penalty cannot be negative'],
     max: [100, 'Penalty cannot exceed 100%'],
     default: 0
   },
+  latePenaltyUnit: {
+    type: String,
+    enum: ['day', 'hour'],
+    default: 'day'
+  },
+  // cap on the total late penalty, as a percent of totalPoints
+  maxLatePenalty: {
+    type: Number,
+    min: [0, 'Max penalty cannot be negative'],
+    max: [100, 'Max penalty cannot exceed 100%'],
+    default: 100
+  },
+  // submissions within this many minutes after the due date are not late
+  lateGracePeriodMinutes: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    default: 0
+  },
+  // no submissions at all after this date, even when late submissions are allowed
+  lateCutoffDate: {
+    type: Date
+  },
+  // how many times a student may resubmit after the first submit (null = unlimited)
+  maxResubmissions: {
+    type: Number,
+    min: [0, 'Max resubmissions cannot be negative'],
+    default: null
+  },
   status: {
     type: String,
     enum: ['draft', 'published', 'closed'],
@@ -81,9 +138,22 @@ const assignmentSchema = new mongoose.Schema({
   },
   publishedAt: {
     type: Date
+  },
+  // picked up by the background scheduler (jobs/assignmentSchedule.js)
+  publishAt: {
+    type: Date
+  },
+  closeAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
   }
 });
 
+assignmentSchema.index({ status: 1, publishAt: 1 });
+assignmentSchema.index({ status: 1, closeAt: 1 });
+
 // update timestamp before saving
 assignmentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -96,6 +166,55 @@ assignmentSchema.pre('save', function(next) {
   next();
 });
 
+const HOUR = 1000 * 60 * 60;
+const DAY = HOUR * 24;
+
+// reason submissions are no longer accepted at `now`, or null if they are
+assignmentSchema.methods.submissionClosedReason = function(now = new Date(), dueDate = this.dueDate) {
+  // an extended due date pushes the hard cutoff back by the same amount
+  let cutoff = this.lateCutoffDate;
+  if (cutoff && dueDate > this.dueDate) {
+    cutoff = new Date(cutoff.getTime() + (dueDate - this.dueDate));
+  }
+
+  if (cutoff && now > cutoff) {
+    return 'This assignment no longer accepts submissions (past the cutoff date)';
+  }
+
+  const graceEnd = new Date(dueDate.getTime() + (this.lateGracePeriodMinutes || 0) * 60 * 1000);
+  if (!this.allowLateSubmission && now > graceEnd) {
+    return 'This assignment no longer accepts submissions (past due date)';
+  }
+
+  return null;
+};
+
+// lateness and penalty (in points) for a submission made at submittedAt
+assignmentSchema.methods.calculateLatePenalty = function(submittedAt, dueDate = this.dueDate) {
+  const result = { isLate: false, lateByDays: 0, penaltyPercent: 0, penaltyApplied: 0 };
+
+  const diff = submittedAt - dueDate;
+  const grace = (this.lateGracePeriodMinutes || 0) * 60 * 1000;
+  if (diff <= grace) {
+    return result;
+  }
+
+  result.isLate = true;
+  result.lateByDays = Math.ceil(diff / DAY);
+
+  if (this.lateSubmissionPenalty > 0) {
+    const unitsLate = Math.ceil(diff / (this.latePenaltyUnit === 'hour' ? HOUR : DAY));
+    const maxPenalty = this.maxLatePenalty === undefined || this.maxLatePenalty === null
+      ? 100
+      : this.maxLatePenalty;
+
+    result.penaltyPercent = Math.min(this.lateSubmissionPenalty * unitsLate, maxPenalty, 100);
+    result.penaltyApplied = Math.round(this.totalPoints * result.penaltyPercent) / 100;
+  }
+
+  return result;
+};
+
 // virtual for checking if assignment is overdue
 assignmentSchema.virtual('isOverdue').get(function() {
   return new Date() > this.dueDate && this.status !== 'closed';
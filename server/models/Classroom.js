@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// letter grades used until the teacher sets their own scale
+const DEFAULT_GRADING_SCALE = [
+  { letter: 'A', minPercentage: 90 },
+  { letter: 'B', minPercentage: 80 },
+  { letter: 'C', minPercentage: 70 },
+  { letter: 'D', minPercentage: 60 },
+  { letter: 'F', minPercentage: 0 }
+];
+
+// roles a teacher can hold in someone else's classroom
+const STAFF_ROLES = ['co-teacher', 'ta'];
+
 const classroomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -22,11 +34,75 @@ const classroomSchema = new mongoose.Schema({
     unique: true,
     uppercase: true
   },
+  // students can join with the class code while it is enabled and not expired
+  classCodeEnabled: {
+    type: Boolean,
+    default: true
+  },
+  classCodeExpiresAt: Date,
+  // code joins wait in joinRequests until a teacher approves them
+  requireJoinApproval: {
+    type: Boolean,
+    default: false
+  },
+  joinRequests: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // banned students cannot rejoin by code, request or invite
+  bannedStudents: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // the classroom owner
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // co-teachers and teaching assistants (permissions in utils/permissions.js)
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   students: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -38,16 +114,37 @@ const classroomSchema = new mongoose.Schema({
   announcements: [{
     title: {
       type: String,
-      required: true
+      required: true,
+      trim: true,
+      maxlength: [200, 'Announcement title cannot exceed 200 characters']
     },
     content: {
       type: String,
-      required: true
+      required: true,
+      maxlength: [5000, 'Announcement content cannot exceed 5000 characters']
+    },
+    isPinned: {
+      type: Boolean,
+      default: false
     },
+    readBy: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      readAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     createdAt: {
       type: Date,
       default: Date.now
     },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -56,11 +153,30 @@ const classroomSchema = new mongoose.Schema({
   materials: [{
     title: {
       type: String,
-      required: true
+      required: true,
+      trim: true,
+      maxlength: [200, 'Material title cannot exceed 200 characters']
     },
     description: String,
-    fileUrl: String,
+    topic: {
+      type: String,
+      trim: true,
+      default: 'General'
+    },
+    fileName: String,
     fileType: String,
+    fileSize: Number,
+    publicId: String,
+    resourceType: String,
+    deliveryType: String,
+    order: {
+      type: Number,
+      default: 0
+    },
+    isVisible: {
+      type: Boolean,
+      default: true
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -70,10 +186,53 @@ const classroomSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // weighted grade categories (weights add up to 100)
+  gradeCategories: [{
+    name: {
+      type: String,
+      required: [true, 'Please provide a category name'],
+      trim: true,
+      maxlength: [50, 'Category name cannot exceed 50 characters']
+    },
+    weight: {
+      type: Number,
+      required: [true, 'Please provide a category weight'],
+      min: [0, 'Weight cannot be negative'],
+      max: [100, 'Weight cannot exceed 100%']
+    },
+    // number of lowest scores in the category to ignore
+    dropLowest: {
+      type: Number,
+      min: [0, 'Drop lowest cannot be negative'],
+      default: 0
+    }
+  }],
+  gradingScale: {
+    type: [{
+      letter: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      minPercentage: {
+        type: Number,
+        required: true,
+        min: [0, 'Minimum percentage cannot be negative'],
+        max: [100, 'Minimum percentage cannot exceed 100']
+      }
+    }],
+    default: () => DEFAULT_GRADING_SCALE
+  },
+  // false once archived: the classroom stays readable but nothing in it can change
   isActive: {
     type: Boolean,
     default: true
   },
+  archivedAt: Date,
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -84,6 +243,40 @@ const classroomSchema = new mongoose.Schema({
   }
 });
 
+classroomSchema.index({ 'staff.user': 1 });
+
+classroomSchema.statics.STAFF_ROLES = STAFF_ROLES;
+
+// give the classroom a new unique 6-character class code
+classroomSchema.methods.generateClassCode = async function() {
+  // generate 6-character random code
+  const generateCode = () => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+      code += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return code;
+  };
+
+  // ensure code is unique
+  let code = generateCode();
+  let codeExists = await this.constructor.findOne({ classCode: code });
+  
+  while (codeExists) {
+    code = generateCode();
+    codeExists = await this.constructor.findOne({ classCode: code });
+  }
+
+  this.classCode = code;
+  return code;
+};
+
+// whether a student has been banned from the classroom
+classroomSchema.methods.isBanned = function(studentId) {
+  return this.bannedStudents.some(entry => entry.student.toString() === studentId.toString());
+};
+
 // generate unique class code before saving
 classroomSchema.pre('save', async function(next) {
   try {
@@ -95,26 +288,7 @@ classroomSchema.pre('save', async function(next) {
       return next();
     }
 
-    // generate 6-character random code
-    const generateCode = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-      let code = '';
-      for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return code;
-    };
-
-    // ensure code is unique
-    let code = generateCode();
-    let codeExists = await this.constructor.findOne({ classCode: code });
-    
-    while (codeExists) {
-      code = generateCode();
-      codeExists = await this.constructor.findOne({ classCode: code });
-    }
-
-    this.classCode = code;
+    await this.generateClassCode();
     next();
   } catch (error) {
     next(error);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// a due-date reminder that was sent; the unique index makes each one go out once
+const dueReminderSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // reminder window in hours before the due date (e.g. 48, 24, 1)
+  windowHours: {
+    type: Number,
+    required: true
+  },
+  // the student's due date when the reminder was sent (includes extensions)
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dueReminderSchema.index({ assignment: 1, student: 1, windowHours: 1 }, { unique: true });
+
+module.exports = mongoose.model('DueReminder', dueReminderSchema);
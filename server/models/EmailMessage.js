@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// outgoing email, sent by the email queue job (jobs/emailQueue.js)
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // not sent before this time (used to back off between retries)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // when a worker claimed the message, so stuck sends can be retried
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
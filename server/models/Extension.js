@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const extensionSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Extension must be for a student']
+  },
+  // one assignment, or every assignment in the classroom when empty (standing accommodation)
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+  // new due date (single-assignment extensions only)
+  dueDate: {
+    type: Date
+  },
+  // extra time as a percent of the assignment window, e.g. 50 for +50% time
+  extraTimePercent: {
+    type: Number,
+    min: [0, 'Extra time cannot be negative'],
+    max: [500, 'Extra time cannot exceed 500%']
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+extensionSchema.index({ classroom: 1, student: 1, isActive: 1 });
+
+// due date after applying one grant to an assignment
+const extendedDueDate = (assignment, grant) => {
+  if (grant.dueDate) {
+    return new Date(grant.dueDate);
+  }
+
+  // extra time is a share of the time between publishing and the due date
+  const start = assignment.publishedAt || assignment.createdAt;
+  const window = Math.max(assignment.dueDate - start, 0);
+  return new Date(assignment.dueDate.getTime() + window * (grant.extraTimePercent || 0) / 100);
+};
+
+// latest due date across the original and every grant
+const applyGrants = (assignment, grants) => {
+  return grants.reduce((latest, grant) => {
+    const candidate = extendedDueDate(assignment, grant);
+    return candidate > latest ? candidate : latest;
+  }, new Date(assignment.dueDate));
+};
+
+// a student's due date for an assignment once extensions and accommodations apply
+extensionSchema.statics.effectiveDueDate = async function(assignment, studentId) {
+  const grants = await this.find({
+    classroom: assignment.classroom._id || assignment.classroom,
+    student: studentId,
+    isActive: true,
+    $or: [{ assignment: assignment._id }, { assignment: null }]
+  });
+  return applyGrants(assignment, grants);
+};
+
+// effective due dates for many students and assignments of one classroom,
+// keyed by `${studentId}:${assignmentId}` (only entries that differ from the assignment's due date)
+extensionSchema.statics.effectiveDueDates = async function(classroomId, assignments, studentIds) {
+  const grants = await this.find({
+    classroom: classroomId,
+    student: { $in: studentIds },
+    isActive: true
+  });
+
+  const dueDates = new Map();
+  grants.forEach(grant => {
+    const targets = grant.assignment
+      ? assignments.filter(assignment => assignment._id.toString() === grant.assignment.toString())
+      : assignments;
+
+    targets.forEach(assignment => {
+      const key = `${grant.student}:${assignment._id}`;
+      const current = dueDates.get(key) || assignment.dueDate;
+      const candidate = extendedDueDate(assignment, grant);
+      if (candidate > current) {
+        dueDates.set(key, candidate);
+      }
+    });
+  });
+
+  return dueDates;
+};
+
+module.exports = mongoose.model('Extension', extensionSchema);
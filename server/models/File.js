@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const fileSchema = new mongoose.Schema({
+  publicId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: String,
+  fileSize: Number,
+  format: String,
+  resourceType: String,
+  // Cloudinary delivery type (authenticated for new uploads, unset for older public ones)
+  deliveryType: String,
+  storageDriver: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['assignment', 'material', 'submission'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  // classrooms copied from `classroom` whose materials use this file too
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  }],
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileSchema.index({ uploadedBy: 1, createdAt: -1 });
+fileSchema.index({ classroom: 1 });
+fileSchema.index({ sharedWith: 1 });
+
+module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// a single-use link inviting someone (by email) to join a classroom as a student
+const invitationSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // the invited account, when it already existed
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // sha256 of the token in the link; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.index({ classroom: 1, email: 1 });
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// set a fresh token and expiry, returns the raw token to send
+invitationSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 14;
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+  return token;
+};
+
+// not yet used, revoked or expired
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
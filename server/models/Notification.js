@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// kinds of notification a user can receive (and mute in their preferences)
+const NOTIFICATION_TYPES = [
+  'assignment_published',
+  'assignment_closed',
+  'assignment_due_soon',
+  'submission_received',
+  'submission_graded',
+  'student_joined',
+  'join_requested',
+  'join_request_reviewed'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // user whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  // waiting to go out in the recipient's daily email digest
+  emailPending: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ emailPending: 1, recipient: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
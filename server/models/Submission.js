@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Extension = require('./Extension');
 
 const submissionSchema = new mongoose.Schema({
   assignment: {
@@ -20,15 +21,13 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     maxlength: [10000, 'Submission content cannot exceed 10000 characters']
   },
+  // files are fetched through the upload download endpoint by publicId
   attachments: [{
     fileName: {
       type: String,
       required: true
     },
-    fileUrl: {
-      type: String,
-      required: true
-    },
+    publicId: String,
     fileType: String,
     fileSize: Number,
     uploadedAt: {
@@ -44,6 +43,14 @@ const submissionSchema = new mongoose.Schema({
   submittedAt: {
     type: Date
   },
+  versionCount: {
+    type: Number,
+    default: 0
+  },
+  resubmissionCount: {
+    type: Number,
+    default: 0
+  },
   grade: {
     type: Number,
     min: [0, 'Grade cannot be negative'],
@@ -52,6 +59,26 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     maxlength: [2000, 'Feedback cannot exceed 2000 characters']
   },
+  // scored rubric (criterion and level titles are copied so later rubric edits don't change them)
+  rubricScores: [{
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    criterionTitle: String,
+    level: mongoose.Schema.Types.ObjectId,
+    levelTitle: String,
+    points: {
+      type: Number,
+      required: true,
+      min: [0, 'Points cannot be negative']
+    },
+    maxPoints: Number,
+    comment: {
+      type: String,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    }
+  }],
   gradedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -59,6 +86,42 @@ const submissionSchema = new mongoose.Schema({
   gradedAt: {
     type: Date
   },
+  // grading round, bumped each time the submission is returned for revision
+  revisionRound: {
+    type: Number,
+    default: 1
+  },
+  returnComments: {
+    type: String,
+    maxlength: [2000, 'Return comments cannot exceed 2000 characters']
+  },
+  returnedAt: {
+    type: Date
+  },
+  // grade and feedback kept for every grading round
+  gradeHistory: [{
+    round: {
+      type: Number,
+      required: true
+    },
+    grade: Number,
+    feedback: String,
+    rubricScores: [{
+      criterion: mongoose.Schema.Types.ObjectId,
+      criterionTitle: String,
+      levelTitle: String,
+      points: Number,
+      maxPoints: Number,
+      comment: String
+    }],
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gradedAt: Date,
+    returnComments: String,
+    returnedAt: Date
+  }],
   isLate: {
     type: Boolean,
     default: false
@@ -67,10 +130,28 @@ const submissionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // late penalty in points (penaltyPercent of the assignment's totalPoints)
   penaltyApplied: {
     type: Number,
     default: 0
   },
+  penaltyPercent: {
+    type: Number,
+    default: 0
+  },
+  // set when a teacher waives the late penalty; originalPenalty restores it
+  penaltyWaiver: {
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waivedAt: Date,
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    originalPenalty: Number
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -89,35 +170,31 @@ submissionSchema.pre('save', async function(next) {
   try {
     this.updatedAt = Date.now();
 
-    // if status is changing to 'submitted', set submittedAt and check if late
-    if (this.isModified('status') && this.status === 'submitted' && !this.submittedAt) {
+    // every submit (first or resubmission) restamps submittedAt and rechecks lateness;
+    // resubmissions keep status 'submitted', so they mark submittedAt instead.
+    // revision rounds keep the original submission time and lateness, since the
+    // teacher asked for the revision
+    const isRevisionRound = this.revisionRound > 1 && Boolean(this.submittedAt);
+    if (
+      this.status === 'submitted' &&
+      !isRevisionRound &&
+      (this.isModified('status') || this.isModified('submittedAt'))
+    ) {
       this.submittedAt = Date.now();
 
       // populate assignment to check due date
       await this.populate('assignment');
       
       if (this.assignment && this.assignment.dueDate) {
-        const dueDate = new Date(this.assignment.dueDate);
-        const submitDate = new Date(this.submittedAt);
-
-        if (submitDate > dueDate) {
-          this.isLate = true;
-          
-          // Calculate days late
-          const diffTime = Math.abs(submitDate - dueDate);
-          const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-          this.lateByDays = diffDays;
-
-          // Apply penalty if configured
-          if (this.assignment.lateSubmissionPenalty > 0) {
-            this.penaltyApplied = this.assignment.lateSubmissionPenalty * diffDays;
-          }
-        }
+        // lateness is measured against the student's own (possibly extended) due date
+        const studentId = this.populated('student') ? this.student._id : this.student;
+        const dueDate = await Extension.effectiveDueDate(this.assignment, studentId);
+        this.applyLatePenalty(this.assignment, dueDate);
       }
     }
 
-    // if graded, set gradedAt timestamp
-    if (this.isModified('grade') && this.grade !== undefined && !this.gradedAt) {
+    // if graded (or regraded), set gradedAt timestamp
+    if (this.isModified('grade') && this.grade !== undefined) {
       this.gradedAt = Date.now();
       if (this.status === 'submitted') {
         this.status = 'graded';
@@ -130,6 +207,32 @@ submissionSchema.pre('save', async function(next) {
   }
 });
 
+// set lateness and penalty from the assignment's late policy and the student's due date
+submissionSchema.methods.applyLatePenalty = function(assignment, dueDate) {
+  const late = assignment.calculateLatePenalty(new Date(this.submittedAt), dueDate);
+
+  this.isLate = late.isLate;
+  this.lateByDays = late.lateByDays;
+  this.penaltyPercent = late.penaltyPercent;
+
+  // a waived penalty stays waived
+  if (this.penaltyWaiver && this.penaltyWaiver.waivedAt) {
+    this.penaltyWaiver.originalPenalty = late.penaltyApplied;
+  } else {
+    this.penaltyApplied = late.penaltyApplied;
+  }
+};
+
+// grade history entry for the current round, created if missing
+submissionSchema.methods.currentRound = function() {
+  let entry = this.gradeHistory.find(item => item.round === this.revisionRound);
+  if (!entry) {
+    this.gradeHistory.push({ round: this.revisionRound });
+    entry = this.gradeHistory[this.gradeHistory.length - 1];
+  }
+  return entry;
+};
+
 // final grade after penalty
 submissionSchema.virtual('finalGrade').get(function() {
   if (this.grade === undefined || this.grade === null) {
@@ -141,6 +244,22 @@ submissionSchema.virtual('finalGrade').get(function() {
   return Math.round(finalGrade * 100) / 100; // Round to 2 decimal places
 });
 
+// aggregation version of the finalGrade virtual, for pipelines that can't use virtuals
+submissionSchema.statics.finalGradeExpression = function() {
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: ['$grade', null] }, null] },
+      null,
+      {
+        $round: [
+          { $max: [0, { $subtract: ['$grade', { $ifNull: ['$penaltyApplied', 0] }] }] },
+          2
+        ]
+      }
+    ]
+  };
+};
+
 // grade percentage
 submissionSchema.virtual('gradePercentage').get(function() {
   if (this.finalGrade === null) {
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const submissionVersionSchema = new mongoose.Schema({
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // 'saved' for draft saves, 'submitted' for submits and resubmits
+  action: {
+    type: String,
+    enum: ['saved', 'submitted'],
+    required: true
+  },
+  content: {
+    type: String
+  },
+  attachments: [{
+    fileName: String,
+    publicId: String,
+    fileType: String,
+    fileSize: Number,
+    uploadedAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+submissionVersionSchema.index({ submission: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('SubmissionVersion', submissionVersionSchema);
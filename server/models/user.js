@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,10 +29,39 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'teacher'],
+    enum: ['student', 'teacher', 'admin'],
     default: 'student',
     required: true
   },
+  // teacher accounts need an admin's approval before they can create classrooms
+  // (accounts created before approvals existed have no status and count as approved)
+  teacherStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected']
+  },
+  teacherReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  teacherReviewedAt: {
+    type: Date
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // created by a teacher's roster import and not yet claimed through the invitation link
+  isPending: {
+    type: Boolean,
+    default: false
+  },
   firstName: {
     type: String,
     required: [true, 'Please provide first name'],
@@ -54,6 +84,45 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Classroom'
   }],
+  notificationPreferences: {
+    // notification types the user doesn't want to receive
+    mutedTypes: [{
+      type: String
+    }],
+    // how notification emails are sent: one per event, a daily digest, or not at all
+    emailFrequency: {
+      type: String,
+      enum: ['immediate', 'daily', 'off'],
+      default: 'immediate'
+    }
+  },
+  lastDigestAt: {
+    type: Date
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // single-use tokens are stored as sha256 hashes, the raw token only goes out by email
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -80,6 +149,36 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// teacher whose account an admin has approved (or that predates approvals)
+userSchema.methods.isApprovedTeacher = function() {
+  return this.role === 'teacher' && (!this.teacherStatus || this.teacherStatus === 'approved');
+};
+
+// hash of a single-use token, as stored on the user
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// create an email verification token, returns the raw token to send
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 48;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = Date.now() + hours * 60 * 60 * 1000;
+  return token;
+};
+
+// create a password reset token, returns the raw token to send
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = Date.now() + minutes * 60 * 1000;
+  return token;
+};
+
 // update updatedAt on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
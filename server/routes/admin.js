@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  suspendUser,
+  unsuspendUser,
+  changeRole,
+  reviewTeacher,
+  getAllClassrooms
+} = require('../controllers/admin');
+const { protect, authorize } = require('../middleware/auth');
+
+// all routes require an admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// list and search users
+router.get('/users', getUsers);
+
+// single user
+router.get('/users/:id', getUser);
+
+// suspend / lift suspension
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/unsuspend', unsuspendUser);
+
+// change role
+router.put('/users/:id/role', changeRole);
+
+// approve or reject a teacher account
+router.put('/users/:id/teacher-approval', reviewTeacher);
+
+// every classroom in the institution
+router.get('/classrooms', getAllClassrooms);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getAnnouncements,
+  getAnnouncement,
+  createAnnouncement,
+  updateAnnouncement,
+  pinAnnouncement,
+  markAnnouncementRead,
+  deleteAnnouncement
+} = require('../controllers/announcement');
+const { authorize } = require('../middleware/auth');
+
+// get announcements for a classroom (teacher and enrolled students)
+router.get('/', getAnnouncements);
+
+// get single announcement
+router.get('/:announcementId', getAnnouncement);
+
+// create announcement (teacher only)
+router.post('/', authorize('teacher'), createAnnouncement);
+
+// update announcement (teacher only)
+router.put('/:announcementId', authorize('teacher'), updateAnnouncement);
+
+// pin or unpin announcement (teacher only)
+router.put('/:announcementId/pin', authorize('teacher'), pinAnnouncement);
+
+// mark announcement as read (students)
+router.post('/:announcementId/read', authorize('student'), markAnnouncementRead);
+
+// delete announcement (teacher only)
+router.delete('/:announcementId', authorize('teacher'), deleteAnnouncement);
+
+module.exports = router;
@@ -6,7 +6,8 @@ const {
   getAssignment,
   updateAssignment,
   deleteAssignment,
-  publishAssignment
+  publishAssignment,
+  closeAssignment
 } = require('../controllers/assignment');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -31,4 +32,7 @@ router.delete('/:id', authorize('teacher'), deleteAssignment);
 // publish assignment (teacher only)
 router.put('/:id/publish', authorize('teacher'), publishAssignment);
 
+// close assignment (teacher only)
+router.put('/:id/close', authorize('teacher'), closeAssignment);
+
 module.exports = router;
\ No newline at end of file
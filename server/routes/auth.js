@@ -1,13 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/auth');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  claimAccount
+} = require('../controllers/auth');
 const { protect } = require('../middleware/auth');
 
 // public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+
+// password reset and email verification (token links sent by email)
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', resendVerification);
+
+// set up an account a teacher created by roster import
+router.post('/claim-account/:token', claimAccount);
 
 // protected routes
 router.get('/me', protect, getMe);
+router.post('/logout', protect, logout);
+
+// signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
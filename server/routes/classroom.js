@@ -7,9 +7,26 @@ const {
   updateClassroom,
   deleteClassroom,
   joinClassroom,
-  leaveClassroom
+  leaveClassroom,
+  archiveClassroom,
+  unarchiveClassroom,
+  copyClassroom
 } = require('../controllers/classroom');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getJoinSettings,
+  updateJoinSettings,
+  regenerateClassCode,
+  getJoinRequests,
+  reviewJoinRequest,
+  removeStudent,
+  importRoster,
+  getBannedStudents,
+  banStudent,
+  unbanStudent
+} = require('../controllers/enrollment');
+const { acceptInvitation } = require('../controllers/invitation');
+const { protect, authorize, requireApprovedTeacher } = require('../middleware/auth');
+const { uploadCsv } = require('../config/upload');
 
 // all routes require authentication
 router.use(protect);
@@ -20,11 +37,14 @@ router.get('/', getClassrooms);
 // join classroom with code (students)
 router.post('/join', joinClassroom);
 
+// accept an emailed invitation (invited student)
+router.post('/invites/:token/accept', acceptInvitation);
+
 // get single classroom
 router.get('/:id', getClassroom);
 
-// create classroom (teachers only)
-router.post('/', authorize('teacher'), createClassroom);
+// create classroom (approved teachers only)
+router.post('/', authorize('teacher'), requireApprovedTeacher, createClassroom);
 
 // update classroom (teachers only)
 router.put('/:id', authorize('teacher'), updateClassroom);
@@ -32,7 +52,54 @@ router.put('/:id', authorize('teacher'), updateClassroom);
 // delete classroom (teachers only)
 router.delete('/:id', authorize('teacher'), deleteClassroom);
 
+// archive / unarchive classroom (teachers only)
+router.put('/:id/archive', authorize('teacher'), archiveClassroom);
+router.put('/:id/unarchive', authorize('teacher'), unarchiveClassroom);
+
+// copy classroom into a new term (approved teachers only)
+router.post('/:id/copy', authorize('teacher'), requireApprovedTeacher, copyClassroom);
+
 // leave classroom (students)
 router.post('/:id/leave', leaveClassroom);
 
+// class code and join settings (teachers only)
+router.get('/:id/join-settings', authorize('teacher'), getJoinSettings);
+router.put('/:id/join-settings', authorize('teacher'), updateJoinSettings);
+router.post('/:id/class-code', authorize('teacher'), regenerateClassCode);
+
+// join requests waiting for approval (teachers only)
+router.get('/:id/join-requests', authorize('teacher'), getJoinRequests);
+router.put('/:id/join-requests/:studentId', authorize('teacher'), reviewJoinRequest);
+
+// enroll students from a CSV, with ?dryRun=true to preview (teachers only)
+router.post('/:id/roster/import', authorize('teacher'), uploadCsv.single('file'), importRoster);
+
+// remove a student from the roster (teachers only)
+router.delete('/:id/students/:studentId', authorize('teacher'), removeStudent);
+
+// banned students (teachers only)
+router.get('/:id/bans', authorize('teacher'), getBannedStudents);
+router.post('/:id/bans', authorize('teacher'), banStudent);
+router.delete('/:id/bans/:studentId', authorize('teacher'), unbanStudent);
+
+// nested classroom routers below inherit protect from this router
+
+// student invitations
+router.use('/:id/invites', require('./invitation'));
+
+// classroom announcements
+router.use('/:id/announcements', require('./announcement'));
+
+// classroom materials library
+router.use('/:id/materials', require('./material'));
+
+// classroom gradebook
+router.use('/:id/gradebook', require('./gradebook'));
+
+// per-student due date extensions and accommodations
+router.use('/:id/extensions', require('./extension'));
+
+// co-teachers, TAs and ownership transfer
+router.use('/:id/staff', require('./staff'));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getExtensions,
+  grantExtension,
+  revokeExtension
+} = require('../controllers/extension');
+const { authorize } = require('../middleware/auth');
+
+// list extensions (teacher sees all, students see their own)
+router.get('/', getExtensions);
+
+// grant extension or accommodation (teacher only)
+router.post('/', authorize('teacher'), grantExtension);
+
+// revoke extension or accommodation (teacher only)
+router.delete('/:extensionId', authorize('teacher'), revokeExtension);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getGradebook,
+  exportGradebook,
+  getGradingSettings,
+  updateGradingSettings,
+  getCourseGrades,
+  getStudentCourseGrade
+} = require('../controllers/gradebook');
+const { authorize } = require('../middleware/auth');
+
+// get classroom gradebook (teacher only)
+router.get('/', authorize('teacher'), getGradebook);
+
+// export gradebook as CSV or XLSX (teacher only)
+router.get('/export', authorize('teacher'), exportGradebook);
+
+// get grade categories and letter scale (teacher and enrolled students)
+router.get('/settings', getGradingSettings);
+
+// set grade categories and letter scale (teacher only)
+router.put('/settings', authorize('teacher'), updateGradingSettings);
+
+// running course grades for all students (teacher only)
+router.get('/course-grades', authorize('teacher'), getCourseGrades);
+
+// running course grade for one student (teacher or own student)
+router.get('/course-grades/:studentId', getStudentCourseGrade);
+
+module.exports = router;
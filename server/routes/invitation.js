@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getInvitations,
+  createInvitation,
+  revokeInvitation
+} = require('../controllers/invitation');
+const { authorize } = require('../middleware/auth');
+
+// all routes require a teacher (authentication comes from the classroom router)
+router.use(authorize('teacher'));
+
+// list invitations
+router.get('/', getInvitations);
+
+// invite a student by email or username
+router.post('/', createInvitation);
+
+// revoke a pending invitation
+router.delete('/:inviteId', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getMaterials,
+  createMaterial,
+  updateMaterial,
+  setMaterialVisibility,
+  reorderMaterials,
+  deleteMaterial
+} = require('../controllers/material');
+const { authorize } = require('../middleware/auth');
+const { uploadMaterial } = require('../config/upload');
+
+// get materials for a classroom (teacher and enrolled students)
+router.get('/', getMaterials);
+
+// upload material (teacher only)
+router.post(
+  '/',
+  authorize('teacher'),
+  uploadMaterial.single('file'),
+  createMaterial
+);
+
+// reorder materials within a topic (teacher only)
+router.put('/reorder', authorize('teacher'), reorderMaterials);
+
+// update material details (teacher only)
+router.put('/:materialId', authorize('teacher'), updateMaterial);
+
+// show or hide material from students (teacher only)
+router.put('/:materialId/visibility', authorize('teacher'), setMaterialVisibility);
+
+// delete material and its file (teacher only)
+router.delete('/:materialId', authorize('teacher'), deleteMaterial);
+
+module.exports = router;
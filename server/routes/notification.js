@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notification');
+const { protect } = require('../middleware/auth');
+
+// all routes require authentication
+router.use(protect);
+
+// list own notifications
+router.get('/', getNotifications);
+
+// notification preferences
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+
+// mark all as read (before /:id routes)
+router.put('/read-all', markAllAsRead);
+
+// mark one as read
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
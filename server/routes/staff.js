@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getStaff,
+  addStaff,
+  updateStaffRole,
+  removeStaff,
+  transferOwnership
+} = require('../controllers/staff');
+const { authorize } = require('../middleware/auth');
+
+// list owner, co-teachers and TAs (classroom members)
+router.get('/', getStaff);
+
+// add a co-teacher or TA (owner only)
+router.post('/', authorize('teacher'), addStaff);
+
+// transfer ownership (owner only, before /:userId routes)
+router.put('/owner', authorize('teacher'), transferOwnership);
+
+// change a staff member's role (owner only)
+router.put('/:userId', authorize('teacher'), updateStaffRole);
+
+// remove a staff member or step down (owner or self)
+router.delete('/:userId', authorize('teacher'), removeStaff);
+
+module.exports = router;
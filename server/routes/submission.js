@@ -5,10 +5,18 @@ const {
   getAssignmentSubmissions,
   getMySubmission,
   gradeSubmission,
+  returnSubmission,
+  waiveLatePenalty,
   getStudentSubmissions,
-  deleteSubmission
+  deleteSubmission,
+  getSubmissionVersions,
+  getSubmissionVersion,
+  diffSubmissionVersions,
+  exportAssignmentSubmissions,
+  importGrades
 } = require('../controllers/submission');
 const { protect, authorize } = require('../middleware/auth');
+const { uploadCsv } = require('../config/upload');
 
 // all routes require authentication
 router.use(protect);
@@ -19,15 +27,41 @@ router.post('/', authorize('student'), createSubmission);
 // get all submissions for an assignment (teacher only)
 router.get('/assignment/:assignmentId', authorize('teacher'), getAssignmentSubmissions);
 
+// export an assignment's submissions as CSV or XLSX (teacher only)
+router.get('/assignment/:assignmentId/export', authorize('teacher'), exportAssignmentSubmissions);
+
+// bulk grade an assignment from a CSV, with ?dryRun=true to preview (teacher only)
+router.post(
+  '/assignment/:assignmentId/import',
+  authorize('teacher'),
+  uploadCsv.single('file'),
+  importGrades
+);
+
 // get student's own submission for an assignment
 router.get('/assignment/:assignmentId/my-submission', authorize('student'), getMySubmission);
 
 // grade a submission (teacher only)
 router.put('/:id/grade', authorize('teacher'), gradeSubmission);
 
+// return a submission for revision (teacher only)
+router.put('/:id/return', authorize('teacher'), returnSubmission);
+
+// waive or restore the late penalty on a submission (teacher only)
+router.put('/:id/waive-penalty', authorize('teacher'), waiveLatePenalty);
+
 // get all submissions by a student in a classroom
 router.get('/classroom/:classroomId/student/:studentId', getStudentSubmissions);
 
+// version history of a submission (teacher or own student)
+router.get('/:id/versions', getSubmissionVersions);
+
+// compare two versions of a submission (teacher or own student)
+router.get('/:id/versions/diff', diffSubmissionVersions);
+
+// get a single version of a submission (teacher or own student)
+router.get('/:id/versions/:version', getSubmissionVersion);
+
 // delete submission (student only, before grading)
 router.delete('/:id', authorize('student'), deleteSubmission);
 
@@ -4,10 +4,12 @@ const {
   uploadSingle,
   uploadMultiple,
   deleteFile,
-  getFileInfo
+  getFileInfo,
+  getDownloadUrl
 } = require('../controllers/upload');
 const { protect, authorize } = require('../middleware/auth');
-const { uploadAssignment } = require('../config/cloudinary');
+const { canUploadSubmission } = require('../middleware/upload');
+const { uploadAssignment, uploadSubmission } = require('../config/upload');
 
 // all routes require authentication
 router.use(protect);
@@ -28,10 +30,31 @@ router.post(
   uploadMultiple
 );
 
-// delete file (teachers only)
-router.delete('/:publicId', authorize('teacher'), deleteFile);
+// upload single file for a submission (enrolled students only)
+router.post(
+  '/submission/:assignmentId',
+  authorize('student'),
+  canUploadSubmission,
+  uploadSubmission.single('file'),
+  uploadSingle
+);
 
-// get file info (all authenticated users)
+// upload multiple files for a submission (enrolled students only)
+router.post(
+  '/submission/:assignmentId/multiple',
+  authorize('student'),
+  canUploadSubmission,
+  uploadSubmission.array('files', 5),
+  uploadMultiple
+);
+
+// delete file (uploader or classroom teacher)
+router.delete('/:publicId', deleteFile);
+
+// get file info (users with access to the file)
 router.get('/info/:publicId', getFileInfo);
 
+// get signed, expiring download link (users with access to the file)
+router.get('/download/:publicId', getDownloadUrl);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+// promote an existing account to admin (the first admin has to be made this way)
+// usage: npm run make-admin -- user@example.com
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const run = async () => {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`no user with email ${email}`);
+  } else {
+    console.log(`${user.username} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run();
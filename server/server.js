@@ -25,12 +25,20 @@ app.get('/', (req, res) => {
     });
 });
 
+// serve uploaded files (signed links only) when using the local storage driver
+const storage = require('./services/storage');
+if (storage.name === 'local') {
+    app.use('/uploads', storage.serveFiles());
+}
+
 // import and use routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/classrooms', require('./routes/classroom'));
 app.use('/api/assignments', require('./routes/assignment'));
 app.use('/api/submissions', require('./routes/submission'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/notifications', require('./routes/notification'));
+app.use('/api/admin', require('./routes/admin'));
 
 
 //error handling middleware
@@ -45,7 +53,13 @@ app.use((err, req, res, next) => {
 
 //start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`server is running on port ${PORT}`);
     console.log(`environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // background jobs (scheduled assignments, due reminders, email delivery)
+    require('./jobs/scheduler').startScheduler();
 });
+
+// real-time updates (Socket.IO) share the HTTP server
+require('./services/realtime').initRealtime(server);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// letter for a percentage on the classroom's scale
+const letterFor = (percentage, scale) => {
+  if (percentage === null) return null;
+
+  const match = [...scale]
+    .sort((a, b) => b.minPercentage - a.minPercentage)
+    .find(step => percentage >= step.minPercentage);
+  return match ? match.letter : null;
+};
+
+// check categories and scale before saving, returns an error message or null
+const validateGradingSettings = (categories, scale) => {
+  if (categories !== undefined) {
+    if (!Array.isArray(categories)) {
+      return 'Grade categories must be an array';
+    }
+
+    const names = new Set();
+    for (const category of categories) {
+      if (!category.name) {
+        return 'Every grade category needs a name';
+      }
+      if (names.has(category.name.toLowerCase())) {
+        return `Grade category '${category.name}' is listed twice`;
+      }
+      names.add(category.name.toLowerCase());
+
+      if (typeof category.weight !== 'number' || category.weight < 0 || category.weight > 100) {
+        return `Weight for '${category.name}' must be between 0 and 100`;
+      }
+      if (category.dropLowest !== undefined &&
+        (!Number.isInteger(category.dropLowest) || category.dropLowest < 0)) {
+        return `Drop lowest for '${category.name}' must be a whole number`;
+      }
+    }
+
+    const totalWeight = categories.reduce((sum, category) => sum + category.weight, 0);
+    if (categories.length > 0 && Math.abs(totalWeight - 100) > 0.001) {
+      return `Category weights must add up to 100 (currently ${totalWeight})`;
+    }
+  }
+
+  if (scale !== undefined) {
+    if (!Array.isArray(scale) || scale.length === 0) {
+      return 'Grading scale must be a non-empty array';
+    }
+    if (scale.some(step => !step.letter || typeof step.minPercentage !== 'number')) {
+      return 'Every grading scale step needs a letter and a minimum percentage';
+    }
+    const minimums = scale.map(step => step.minPercentage);
+    if (new Set(minimums).size !== minimums.length) {
+      return 'Grading scale minimum percentages must be unique';
+    }
+    if (!minimums.includes(0)) {
+      return 'Grading scale needs a step starting at 0%';
+    }
+  }
+
+  return null;
+};
+
+// course grade for one student from their graded assignments
+// scored: [{ assignment, earned }]
+const calculateCourseGrade = (classroom, scored) => {
+  const categories = classroom.gradeCategories || [];
+
+  // without categories, the course grade is total points earned over total points possible
+  if (categories.length === 0) {
+    const earned = scored.reduce((sum, item) => sum + item.earned, 0);
+    const possible = scored.reduce((sum, item) => sum + item.assignment.totalPoints, 0);
+    const percentage = possible > 0 ? round((earned / possible) * 100) : null;
+
+    return {
+      percentage,
+      letter: letterFor(percentage, classroom.gradingScale),
+      pointsEarned: round(earned),
+      pointsPossible: possible,
+      categories: []
+    };
+  }
+
+  const categoryResults = categories.map(category => {
+    const items = scored
+      .filter(item => item.assignment.category && item.assignment.category.toString() === category._id.toString())
+      .map(item => ({
+        ...item,
+        ratio: item.assignment.totalPoints > 0 ? item.earned / item.assignment.totalPoints : Infinity
+      }))
+      .sort((a, b) => a.ratio - b.ratio);
+
+    // always keep at least one score
+    const dropCount = Math.min(category.dropLowest || 0, Math.max(items.length - 1, 0));
+    const kept = items.slice(dropCount);
+    const earned = kept.reduce((sum, item) => sum + item.earned, 0);
+    const possible = kept.reduce((sum, item) => sum + item.assignment.totalPoints, 0);
+
+    return {
+      id: category._id,
+      name: category.name,
+      weight: category.weight,
+      percentage: possible > 0 ? round((earned / possible) * 100) : null,
+      counted: kept.map(item => item.assignment._id),
+      dropped: items.slice(0, dropCount).map(item => item.assignment._id)
+    };
+  });
+
+  // running grade: weights are rescaled over the categories that have grades so far
+  const graded = categoryResults.filter(category => category.percentage !== null && category.weight > 0);
+  const totalWeight = graded.reduce((sum, category) => sum + category.weight, 0);
+  const percentage = totalWeight > 0
+    ? round(graded.reduce((sum, category) => sum + category.weight * category.percentage, 0) / totalWeight)
+    : null;
+
+  return {
+    percentage,
+    letter: letterFor(percentage, classroom.gradingScale),
+    categories: categoryResults,
+    uncategorized: scored
+      .filter(item => !item.assignment.category)
+      .map(item => item.assignment._id)
+  };
+};
+
+// running course grades for students of a classroom, keyed by student id
+const computeCourseGrades = async (classroom, studentIds) => {
+  const assignments = await Assignment.find({
+    classroom: classroom._id,
+    status: { $ne: 'draft' }
+  }).select('title totalPoints category');
+
+  const byId = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+
+  const grades = await Submission.aggregate([
+    {
+      $match: {
+        classroom: classroom._id,
+        student: { $in: studentIds.map(id => new mongoose.Types.ObjectId(id)) },
+        assignment: { $in: assignments.map(assignment => assignment._id) },
+        grade: { $ne: null }
+      }
+    },
+    { $project: { student: 1, assignment: 1, finalGrade: Submission.finalGradeExpression() } },
+    {
+      $group: {
+        _id: '$student',
+        grades: { $push: { assignment: '$assignment', finalGrade: '$finalGrade' } }
+      }
+    }
+  ]);
+
+  const gradesByStudent = new Map(grades.map(group => [group._id.toString(), group.grades]));
+
+  const results = new Map();
+  studentIds.forEach(studentId => {
+    const scored = (gradesByStudent.get(studentId.toString()) || []).map(item => ({
+      assignment: byId.get(item.assignment.toString()),
+      earned: item.finalGrade
+    }));
+    results.set(studentId.toString(), calculateCourseGrade(classroom, scored));
+  });
+
+  return results;
+};
+
+module.exports = {
+  computeCourseGrades,
+  calculateCourseGrade,
+  validateGradingSettings,
+  letterFor
+};
@@ -0,0 +1,59 @@
+const EmailMessage = require('../../models/EmailMessage');
+const transports = require('./transports');
+const templates = require('./templates');
+
+// pick the transport from EMAIL_TRANSPORT (smtp, file or console)
+// console is only a default in development; production must choose one explicitly
+if (!process.env.EMAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error('EMAIL_TRANSPORT must be set in production (smtp, file or console)');
+}
+
+const name = (process.env.EMAIL_TRANSPORT || 'console').toLowerCase();
+
+if (!transports[name]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT '${name}' (expected one of: ${Object.keys(transports).join(', ')})`);
+}
+
+const send = transports[name]();
+
+const FROM = process.env.EMAIL_FROM || 'Collaborative Learning Platform <no-reply@localhost>';
+
+// render a template and add the email to the queue
+// emails are never sent inline; jobs/emailQueue.js delivers them with retries
+const queueEmail = (to, template, data, userId) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown email template '${template}'`);
+  }
+
+  const { subject, text, html } = templates[template](data);
+
+  return EmailMessage.create({
+    to,
+    user: userId,
+    template,
+    subject,
+    text,
+    html
+  });
+};
+
+// deliver one queued message through the configured transport
+const deliver = (message) => {
+  return send({
+    from: FROM,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html
+  });
+};
+
+// template used to email a notification of this type, or null if it is in-app only
+const templateForType = (type) => templates.TEMPLATE_FOR_TYPE[type] || null;
+
+module.exports = {
+  transport: name,
+  queueEmail,
+  deliver,
+  templateForType
+};
@@ -0,0 +1,153 @@
+// email templates: each takes the data it needs and returns { subject, text, html }
+const CLIENT_URL = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const nameOf = (user) => user.firstName || user.username;
+
+// where a notification should take the user in the client app
+const linkFor = (notification) => {
+  if (notification.assignment) return `${CLIENT_URL}/assignments/${notification.assignment._id || notification.assignment}`;
+  if (notification.classroom) return `${CLIENT_URL}/classrooms/${notification.classroom._id || notification.classroom}`;
+  return `${CLIENT_URL}/notifications`;
+};
+
+// shared text and html layout around a message body
+// account emails (verification, password reset) leave out the notification settings footer
+const layout = ({ user, subject, lines, link, linkText, settingsFooter = true }) => {
+  const text = [
+    `Hi ${nameOf(user)},`,
+    '',
+    ...lines,
+    '',
+    link ? `${linkText}: ${link}` : null,
+    settingsFooter ? '' : null,
+    settingsFooter
+      ? `You can change how you receive these emails in your notification settings: ${CLIENT_URL}/notifications`
+      : null
+  ].filter(line => line !== null).join('\n');
+
+  const html = [
+    `<p>Hi ${escapeHtml(nameOf(user))},</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    link ? `<p><a href="${escapeHtml(link)}">${escapeHtml(linkText)}</a></p>` : '',
+    settingsFooter
+      ? `<p style="color:#888;font-size:12px">You can change how you receive these emails in your <a href="${CLIENT_URL}/notifications">notification settings</a>.</p>`
+      : ''
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+const newAssignment = ({ user, notification }) => layout({
+  user,
+  subject: notification.title,
+  lines: [notification.message],
+  link: linkFor(notification),
+  linkText: 'View the assignment'
+});
+
+const dueSoon = ({ user, notification }) => layout({
+  user,
+  subject: notification.title,
+  lines: [notification.message, "If you've already started, don't forget to submit it."],
+  link: linkFor(notification),
+  linkText: 'Open the assignment'
+});
+
+const gradePosted = ({ user, notification }) => layout({
+  user,
+  subject: notification.title,
+  lines: [notification.message],
+  link: linkFor(notification),
+  linkText: 'See your grade and feedback'
+});
+
+// one email summarising the day's notifications
+const digest = ({ user, notifications }) => layout({
+  user,
+  subject: `Your daily summary: ${notifications.length} update(s)`,
+  lines: [
+    'Here is what happened since your last summary:',
+    ...notifications.map(notification => `- ${notification.title}: ${notification.message}`)
+  ],
+  link: `${CLIENT_URL}/notifications`,
+  linkText: 'See all notifications'
+});
+
+const verifyEmail = ({ user, token }) => layout({
+  user,
+  subject: 'Verify your email address',
+  lines: [
+    'Please confirm this is your email address to finish setting up your account.',
+    `The link expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 48} hours.`
+  ],
+  link: `${CLIENT_URL}/verify-email/${token}`,
+  linkText: 'Verify email',
+  settingsFooter: false
+});
+
+const passwordReset = ({ user, token }) => layout({
+  user,
+  subject: 'Reset your password',
+  lines: [
+    'We received a request to reset your password.',
+    `The link expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60} minutes and can only be used once.`,
+    "If you didn't ask for this, you can ignore this email."
+  ],
+  link: `${CLIENT_URL}/reset-password/${token}`,
+  linkText: 'Choose a new password',
+  settingsFooter: false
+});
+
+// invitations can go to people who don't have an account yet
+const classroomInvite = ({ user, inviter, classroom, token }) => layout({
+  user: user || { username: 'there' },
+  subject: `You're invited to join ${classroom.name}`,
+  lines: [
+    `${nameOf(inviter)} invited you to join ${classroom.name} (${classroom.subject}).`,
+    `The link expires in ${parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 14} days and can only be used once.`,
+    user ? 'Sign in with this email address to accept.' : 'Create an account with this email address, then open the link again to accept.'
+  ],
+  link: `${CLIENT_URL}/invites/${token}`,
+  linkText: 'Accept the invitation',
+  settingsFooter: false
+});
+
+// sent with a pending account made by a roster import; the link sets the password
+const accountInvite = ({ user, inviter, classroom, token }) => layout({
+  user,
+  subject: `You've been added to ${classroom.name}`,
+  lines: [
+    `${nameOf(inviter)} added you to ${classroom.name} (${classroom.subject}) and created an account for you.`,
+    'Choose a password to start using it.',
+    `The link expires in ${parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 14} days and can only be used once.`
+  ],
+  link: `${CLIENT_URL}/claim-account/${token}`,
+  linkText: 'Set up your account',
+  settingsFooter: false
+});
+
+// notification types that are also sent by email, and the template each uses
+const TEMPLATE_FOR_TYPE = {
+  assignment_published: 'newAssignment',
+  assignment_due_soon: 'dueSoon',
+  submission_graded: 'gradePosted'
+};
+
+module.exports = {
+  newAssignment,
+  dueSoon,
+  gradePosted,
+  digest,
+  verifyEmail,
+  passwordReset,
+  classroomInvite,
+  accountInvite,
+  TEMPLATE_FOR_TYPE
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// real delivery through an SMTP server
+const smtp = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return (message) => transporter.sendMail(message);
+};
+
+// write each message as an .eml file under EMAIL_OUTBOX_DIR (local stand-in for SMTP)
+const file = () => {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'));
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(outboxDir, fileName), info.message);
+    return info;
+  };
+};
+
+// hide the tokens in verification, reset and invite links (they work like passwords)
+const maskTokens = (text) => (text || '').replace(/\b[a-f0-9]{32,}\b/gi, '[token hidden]');
+
+// print messages to the console with tokens masked (development default);
+// use the file transport to get working links locally
+const console_ = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    console.log(`email to ${message.to}: ${message.subject}\n${maskTokens(message.text)}`);
+    return info;
+  };
+};
+
+module.exports = {
+  smtp,
+  file,
+  console: console_
+};
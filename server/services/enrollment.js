@@ -0,0 +1,82 @@
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const { notify, nameOf } = require('./notification');
+const { joinClassroomRoom, leaveClassroomRoom } = require('./realtime');
+const { staffWith } = require('../utils/permissions');
+
+// add a student to the roster, keeping Classroom.students and User.classrooms in step
+// returns false if the student was already enrolled
+const enrollStudent = async (classroom, student) => {
+  const result = await Classroom.updateOne(
+    { _id: classroom._id, students: { $ne: student._id } },
+    {
+      $push: { students: student._id },
+      $pull: { joinRequests: { student: student._id } },
+      updatedAt: Date.now()
+    }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  await User.findByIdAndUpdate(student._id, {
+    $addToSet: { classrooms: classroom._id }
+  });
+
+  joinClassroomRoom(student._id, classroom._id);
+
+  await notify(staffWith(classroom, 'manageClassroom'), {
+    type: 'student_joined',
+    title: `New student in ${classroom.name}`,
+    message: `${nameOf(student)} joined ${classroom.name}.`,
+    actor: student._id,
+    classroom: classroom._id
+  });
+
+  return true;
+};
+
+// add many students at once (roster import), without a join notification for each
+const enrollStudents = async (classroom, studentIds) => {
+  if (studentIds.length === 0) return;
+
+  await Classroom.updateOne(
+    { _id: classroom._id },
+    {
+      $addToSet: { students: { $each: studentIds } },
+      $pull: { joinRequests: { student: { $in: studentIds } } },
+      updatedAt: Date.now()
+    }
+  );
+
+  await User.updateMany(
+    { _id: { $in: studentIds } },
+    { $addToSet: { classrooms: classroom._id } }
+  );
+
+  studentIds.forEach(studentId => joinClassroomRoom(studentId, classroom._id));
+};
+
+// take a student off the roster (their submissions are kept)
+// returns false if the student wasn't enrolled
+const unenrollStudent = async (classroom, studentId) => {
+  const result = await Classroom.updateOne(
+    { _id: classroom._id, students: studentId },
+    { $pull: { students: studentId }, updatedAt: Date.now() }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  await User.findByIdAndUpdate(studentId, {
+    $pull: { classrooms: classroom._id }
+  });
+
+  leaveClassroomRoom(studentId, classroom._id);
+
+  return true;
+};
+
+module.exports = {
+  enrollStudent,
+  enrollStudents,
+  unenrollStudent
+};
@@ -0,0 +1,202 @@
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const Extension = require('../models/Extension');
+const { computeCourseGrades } = require('./courseGrade');
+
+// statuses that mean the student handed the work in
+const HANDED_IN = ['submitted', 'graded', 'returned'];
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// build the students x assignments grade matrix for a classroom
+const buildGradebook = async (classroom) => {
+  const [assignments, students] = await Promise.all([
+    Assignment.find({ classroom: classroom._id, status: { $ne: 'draft' } })
+      .select('title dueDate totalPoints status publishedAt createdAt')
+      .sort('dueDate'),
+    User.find({ _id: { $in: classroom.students } })
+      .select('username email firstName lastName')
+      .sort('lastName firstName')
+  ]);
+
+  const [result] = await Submission.aggregate([
+    {
+      $match: {
+        classroom: classroom._id,
+        assignment: { $in: assignments.map(assignment => assignment._id) },
+        student: { $in: students.map(student => student._id) }
+      }
+    },
+    {
+      $lookup: {
+        from: 'assignments',
+        localField: 'assignment',
+        foreignField: '_id',
+        as: 'assignmentDoc'
+      }
+    },
+    { $unwind: '$assignmentDoc' },
+    { $addFields: { finalGrade: Submission.finalGradeExpression() } },
+    {
+      $addFields: {
+        percentage: {
+          $cond: [
+            { $and: [{ $ne: ['$finalGrade', null] }, { $gt: ['$assignmentDoc.totalPoints', 0] }] },
+            { $multiply: [{ $divide: ['$finalGrade', '$assignmentDoc.totalPoints'] }, 100] },
+            null
+          ]
+        },
+        handedIn: { $in: ['$status', HANDED_IN] }
+      }
+    },
+    {
+      $facet: {
+        cells: [
+          {
+            $project: {
+              assignment: 1,
+              student: 1,
+              status: 1,
+              grade: 1,
+              finalGrade: 1,
+              percentage: 1,
+              isLate: 1,
+              handedIn: 1,
+              submittedAt: 1
+            }
+          }
+        ],
+        byStudent: [
+          { $match: { finalGrade: { $ne: null } } },
+          {
+            $group: {
+              _id: '$student',
+              averagePercentage: { $avg: '$percentage' },
+              pointsEarned: { $sum: '$finalGrade' },
+              pointsPossible: { $sum: '$assignmentDoc.totalPoints' },
+              gradedCount: { $sum: 1 }
+            }
+          }
+        ],
+        byAssignment: [
+          {
+            $group: {
+              _id: '$assignment',
+              averageGrade: { $avg: '$finalGrade' },
+              averagePercentage: { $avg: '$percentage' },
+              gradedCount: { $sum: { $cond: [{ $ne: ['$finalGrade', null] }, 1, 0] } },
+              submittedCount: { $sum: { $cond: ['$handedIn', 1, 0] } },
+              lateCount: { $sum: { $cond: ['$isLate', 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  // index aggregation output for the matrix
+  const cells = new Map(
+    result.cells.map(cell => [`${cell.student}:${cell.assignment}`, cell])
+  );
+  const studentStats = new Map(result.byStudent.map(stats => [stats._id.toString(), stats]));
+  const assignmentStats = new Map(result.byAssignment.map(stats => [stats._id.toString(), stats]));
+
+  const studentIds = students.map(student => student._id);
+  const [courseGrades, extendedDueDates] = await Promise.all([
+    computeCourseGrades(classroom, studentIds),
+    Extension.effectiveDueDates(classroom._id, assignments, studentIds)
+  ]);
+
+  // work is missing once the student's own (possibly extended) due date has passed
+  const now = new Date();
+  const missingByAssignment = new Map();
+  const isPastDue = (student, assignment) => {
+    const dueDate = extendedDueDates.get(`${student._id}:${assignment._id}`) || assignment.dueDate;
+    return dueDate < now;
+  };
+
+  const gradebookStudents = students.map(student => {
+    let missingCount = 0;
+    let lateCount = 0;
+
+    const grades = assignments.map(assignment => {
+      const cell = cells.get(`${student._id}:${assignment._id}`);
+      const isMissing = isPastDue(student, assignment) && (!cell || !cell.handedIn);
+
+      if (isMissing) {
+        missingCount++;
+        const key = assignment._id.toString();
+        missingByAssignment.set(key, (missingByAssignment.get(key) || 0) + 1);
+      }
+      if (cell && cell.isLate) lateCount++;
+
+      return {
+        assignment: assignment._id,
+        dueDate: extendedDueDates.get(`${student._id}:${assignment._id}`) || assignment.dueDate,
+        submission: cell ? cell._id : null,
+        status: cell ? cell.status : null,
+        grade: cell && cell.grade !== undefined ? cell.grade : null,
+        finalGrade: cell ? cell.finalGrade : null,
+        percentage: cell ? round(cell.percentage) : null,
+        isLate: Boolean(cell && cell.isLate),
+        isMissing,
+        submittedAt: cell ? cell.submittedAt : null
+      };
+    });
+
+    const stats = studentStats.get(student._id.toString());
+    const courseGrade = courseGrades.get(student._id.toString());
+
+    return {
+      id: student._id,
+      username: student.username,
+      email: student.email,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      grades,
+      averagePercentage: stats ? round(stats.averagePercentage) : null,
+      pointsEarned: stats ? round(stats.pointsEarned) : 0,
+      pointsPossible: stats ? stats.pointsPossible : 0,
+      gradedCount: stats ? stats.gradedCount : 0,
+      missingCount,
+      lateCount,
+      courseGrade: {
+        percentage: courseGrade.percentage,
+        letter: courseGrade.letter
+      }
+    };
+  });
+
+  const gradebookAssignments = assignments.map(assignment => {
+    const stats = assignmentStats.get(assignment._id.toString());
+    const submittedCount = stats ? stats.submittedCount : 0;
+
+    return {
+      id: assignment._id,
+      title: assignment.title,
+      dueDate: assignment.dueDate,
+      totalPoints: assignment.totalPoints,
+      status: assignment.status,
+      averageGrade: stats ? round(stats.averageGrade) : null,
+      averagePercentage: stats ? round(stats.averagePercentage) : null,
+      gradedCount: stats ? stats.gradedCount : 0,
+      submittedCount,
+      lateCount: stats ? stats.lateCount : 0,
+      missingCount: missingByAssignment.get(assignment._id.toString()) || 0
+    };
+  });
+
+  return {
+    classroom: {
+      id: classroom._id,
+      name: classroom.name
+    },
+    assignments: gradebookAssignments,
+    students: gradebookStudents
+  };
+};
+
+module.exports = {
+  buildGradebook
+};
@@ -0,0 +1,56 @@
+const { scoreRubric } = require('../utils/rubric');
+
+// validate and apply a grade to a submission (assignment must be populated)
+// shared by gradeSubmission and the CSV grade import; returns an error message or null
+// the caller is responsible for saving the submission
+exports.applyGrade = (submission, { grade, feedback, rubricScores }, graderId) => {
+  const { assignment } = submission;
+
+  // returned submissions are regraded once the student resubmits
+  if (submission.status === 'returned') {
+    return 'This submission was returned for revision and cannot be graded until it is resubmitted';
+  }
+
+  // with a rubric, the grade is the total of the criterion scores
+  let scoredRubric = [];
+  if (assignment.rubric && assignment.rubric.length > 0 && rubricScores !== undefined) {
+    const result = scoreRubric(assignment.rubric, rubricScores, assignment.totalPoints);
+    if (result.error) {
+      return result.error;
+    }
+    scoredRubric = result.scores;
+    grade = result.total;
+  }
+
+  // validate grade
+  if (grade !== undefined && grade !== null) {
+    grade = Number(grade);
+    if (Number.isNaN(grade)) {
+      return 'Grade must be a number';
+    }
+    if (grade < 0 || grade > assignment.totalPoints) {
+      return `Grade must be between 0 and ${assignment.totalPoints}`;
+    }
+  }
+
+  if (feedback && feedback.length > 2000) {
+    return 'Feedback cannot exceed 2000 characters';
+  }
+
+  // update submission
+  submission.grade = grade;
+  submission.feedback = feedback;
+  submission.rubricScores = scoredRubric;
+  submission.gradedBy = graderId;
+  submission.status = 'graded';
+
+  // keep this round's grade and feedback
+  const round = submission.currentRound();
+  round.grade = grade;
+  round.feedback = feedback;
+  round.rubricScores = scoredRubric;
+  round.gradedBy = graderId;
+  round.gradedAt = Date.now();
+
+  return null;
+};
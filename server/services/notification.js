@@ -0,0 +1,59 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { queueEmail, templateForType } = require('./email');
+const { emitToUser } = require('./realtime');
+
+// create a notification for each recipient that hasn't muted its type
+// emailed types are queued right away or held for the daily digest, per user preference
+// notifications are a side effect, so failures are logged instead of thrown
+const notify = async (recipients, notification) => {
+  try {
+    // recipients can be ids or populated users
+    const ids = [].concat(recipients).filter(Boolean).map(recipient => recipient._id || recipient);
+    if (ids.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: ids },
+      'notificationPreferences.mutedTypes': { $ne: notification.type }
+    }).select('email username firstName notificationPreferences');
+
+    if (users.length === 0) return [];
+
+    const template = templateForType(notification.type);
+    const frequencyOf = (user) => (template ? user.notificationPreferences.emailFrequency : 'off');
+
+    const created = await Notification.insertMany(
+      users.map(user => ({
+        ...notification,
+        recipient: user._id,
+        emailPending: frequencyOf(user) === 'daily'
+      }))
+    );
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    for (const item of created) {
+      const user = usersById.get(item.recipient.toString());
+      emitToUser(user._id, 'notification:created', item);
+
+      if (frequencyOf(user) === 'immediate') {
+        await queueEmail(user.email, template, { user, notification: item }, user._id);
+      }
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return [];
+  }
+};
+
+// display name used in notification text
+const nameOf = (user) => {
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || user.username;
+};
+
+module.exports = {
+  notify,
+  nameOf
+};
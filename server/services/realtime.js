@@ -0,0 +1,136 @@
+const { Server } = require('socket.io');
+const Classroom = require('../models/Classroom');
+const { verifyAccessToken } = require('../middleware/auth');
+const { roleIn } = require('../utils/permissions');
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const classroomRoom = (classroomId) => `classroom:${classroomId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// clients pass the same token as the REST API, in auth.token or an Authorization header
+const authenticate = async (socket, next) => {
+  const header = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth.token ||
+    (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Not authorized'));
+  }
+
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    if (user.isSuspended) {
+      return next(new Error('Your account has been suspended'));
+    }
+
+    socket.user = user;
+    socket.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    next(new Error('Not authorized'));
+  }
+};
+
+// every socket joins its user and session rooms and the rooms of the classrooms it belongs to
+const onConnection = async (socket) => {
+  const userId = socket.user.id;
+  socket.join(userRoom(userId));
+  socket.join(sessionRoom(socket.sessionId));
+
+  try {
+    const classrooms = await Classroom.find({
+      $or: [{ teacher: userId }, { 'staff.user': userId }, { students: userId }]
+    }).select('_id');
+    classrooms.forEach(classroom => socket.join(classroomRoom(classroom._id)));
+  } catch (error) {
+    console.error('Socket join classrooms error:', error);
+  }
+
+  // subscribe to a classroom joined after connecting
+  socket.on('classroom:join', async (classroomId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const classroom = await Classroom.findById(classroomId).select('teacher staff students');
+      if (!classroom || !roleIn(classroom, userId)) {
+        return reply({ success: false, message: 'You do not have access to this classroom' });
+      }
+
+      socket.join(classroomRoom(classroom._id));
+      reply({ success: true });
+    } catch (error) {
+      reply({ success: false, message: 'Error joining classroom' });
+    }
+  });
+
+  socket.on('classroom:leave', (classroomId) => {
+    socket.leave(classroomRoom(classroomId));
+  });
+};
+
+// attach Socket.IO to the HTTP server started in server.js
+const initRealtime = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: { origin: process.env.CLIENT_URL || '*' }
+  });
+
+  io.use(authenticate);
+  io.on('connection', onConnection);
+
+  return io;
+};
+
+// push an event to one user; a no-op when sockets aren't running (e.g. in scripts)
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId._id || userId)).emit(event, payload);
+};
+
+// push an event to everyone in a classroom
+const emitToClassroom = (classroomId, event, payload) => {
+  if (!io || !classroomId) return;
+  io.to(classroomRoom(classroomId._id || classroomId)).emit(event, payload);
+};
+
+// add or remove a user's open sockets when their classroom membership changes
+const joinClassroomRoom = (userId, classroomId) => {
+  if (!io) return;
+  io.in(userRoom(userId)).socketsJoin(classroomRoom(classroomId));
+};
+
+const leaveClassroomRoom = (userId, classroomId) => {
+  if (!io) return;
+  io.in(userRoom(userId)).socketsLeave(classroomRoom(classroomId));
+};
+
+// sockets are only authenticated when they connect, so ending a session closes its sockets
+const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) return;
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+// close a user's sockets, optionally keeping those of one session (the current device)
+const disconnectUser = (userId, exceptSessionId) => {
+  if (!io || !userId) return;
+  let sockets = io.in(userRoom(userId._id || userId));
+  if (exceptSessionId) {
+    sockets = sockets.except(sessionRoom(exceptSessionId));
+  }
+  sockets.disconnectSockets(true);
+};
+
+module.exports = {
+  initRealtime,
+  emitToUser,
+  emitToClassroom,
+  joinClassroomRoom,
+  leaveClassroomRoom,
+  disconnectSession,
+  disconnectUser
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { disconnectSession, disconnectUser } = require('./realtime');
+
+// access tokens are short-lived; sessions (refresh tokens) last longer and slide on use
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// device details shown in the sessions list
+const deviceInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// start a session for a user who just signed in
+const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...deviceInfo(req),
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// swap a refresh token for a new access/refresh pair, or null if it can't be used
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  // the token is replaced atomically, so each refresh token works exactly once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      ...deviceInfo(req),
+      lastUsedAt: Date.now(),
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // an already rotated token coming back means it was copied: end that session
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: Date.now(), revokedReason: 'reuse' }
+    );
+    if (reused) {
+      disconnectSession(reused._id);
+    }
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextToken,
+    session
+  };
+};
+
+// end one session and close its open sockets
+const revokeSession = async (session, reason) => {
+  session.revokedAt = Date.now();
+  session.revokedReason = reason;
+  await session.save();
+  disconnectSession(session._id);
+};
+
+// end sessions for a user; `except` keeps one (usually the current device)
+const revokeSessions = async (userId, reason, except) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: Date.now(), revokedReason: reason });
+  disconnectUser(userId, except);
+  return result;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRE,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessions
+};
@@ -0,0 +1,93 @@
+const path = require('path');
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { cloudinary } = require('../../config/cloudinary');
+
+const RESOURCE_TYPES = ['image', 'raw', 'video'];
+
+// new assets are authenticated, so they can only be fetched through signed links;
+// files recorded without a delivery type were uploaded as public 'upload' assets
+const DELIVERY_TYPE = 'authenticated';
+const deliveryTypeOf = (deliveryType) => deliveryType || 'upload';
+
+// work out the Cloudinary resource type (image, raw, video) from a delivery URL,
+// since 'auto' uploads need the real type when destroying them
+const getResourceType = (fileUrl) => {
+  const match = /\/(image|raw|video)\/(?:upload|authenticated|private)\//.exec(fileUrl || '');
+  return match ? match[1] : undefined;
+};
+
+// resource types to try for an asset when the caller doesn't know it
+const typesFor = (resourceType) => (resourceType ? [resourceType] : RESOURCE_TYPES);
+
+// build a multer storage engine that uploads into a Cloudinary folder
+exports.createEngine = ({ folder, publicId, allowedFormats }) => {
+  return new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => ({
+      folder: typeof folder === 'function' ? folder(req, file) : folder,
+      allowed_formats: allowedFormats,
+      resource_type: 'auto',
+      type: DELIVERY_TYPE,
+      public_id: publicId(req, file)
+    })
+  });
+};
+
+// normalize a file multer stored through this driver
+// (file.path is the asset's URL, which is only used to read the resource type)
+exports.describeFile = (file) => ({
+  fileName: file.originalname,
+  fileType: file.mimetype,
+  fileSize: file.size,
+  publicId: file.filename,
+  format: path.extname(file.originalname).slice(1).toLowerCase(),
+  resourceType: getResourceType(file.path),
+  deliveryType: DELIVERY_TYPE
+});
+
+// delete an asset, returns false when it doesn't exist
+exports.deleteFile = async (publicId, { resourceType, deliveryType } = {}) => {
+  for (const type of typesFor(resourceType)) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: type,
+      type: deliveryTypeOf(deliveryType)
+    });
+    if (result.result === 'ok') {
+      return true;
+    }
+  }
+  return false;
+};
+
+// fetch asset metadata, returns null when it doesn't exist
+exports.getFileInfo = async (publicId, { resourceType, deliveryType } = {}) => {
+  for (const type of typesFor(resourceType)) {
+    try {
+      const result = await cloudinary.api.resource(publicId, {
+        resource_type: type,
+        type: deliveryTypeOf(deliveryType)
+      });
+      return {
+        publicId: result.public_id,
+        format: result.format,
+        fileType: result.resource_type,
+        fileSize: result.bytes,
+        createdAt: result.created_at
+      };
+    } catch (error) {
+      if (!error.error || error.error.http_code !== 404) {
+        throw error.error || error;
+      }
+    }
+  }
+  return null;
+};
+
+// signed download URL that stops working after expiresIn seconds
+exports.getSignedUrl = async (publicId, { resourceType, deliveryType, format, expiresIn }) => {
+  return cloudinary.utils.private_download_url(publicId, format || '', {
+    resource_type: resourceType || 'image',
+    type: deliveryTypeOf(deliveryType),
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn
+  });
+};
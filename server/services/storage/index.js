@@ -0,0 +1,31 @@
+// pick the storage driver from STORAGE_DRIVER (cloudinary or local)
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local')
+};
+
+const name = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+
+if (!drivers[name]) {
+  throw new Error(`Unknown STORAGE_DRIVER '${name}' (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+const driver = drivers[name]();
+
+// remove a file that multer already stored (used when a request is rejected after upload)
+const discardFile = async (file) => {
+  if (!file) return;
+
+  try {
+    const { publicId, resourceType, deliveryType } = driver.describeFile(file);
+    await driver.deleteFile(publicId, { resourceType, deliveryType });
+  } catch (error) {
+    console.error('Discard upload error:', error);
+  }
+};
+
+module.exports = {
+  name,
+  ...driver,
+  discardFile
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+
+// files live under LOCAL_UPLOAD_DIR and are served by server.js at /uploads
+const uploadDir = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+const baseUrl = (process.env.LOCAL_UPLOAD_URL || `http://localhost:${process.env.PORT || 3000}/uploads`)
+  .replace(/\/$/, '');
+
+// download links are signed with this secret
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif'];
+
+// map a public ID to a path inside the upload directory (never outside it)
+const resolvePath = (publicId) => {
+  const filePath = path.resolve(uploadDir, publicId);
+  if (!filePath.startsWith(uploadDir + path.sep)) {
+    return null;
+  }
+  return filePath;
+};
+
+// public IDs are the file's path relative to the upload directory
+const toPublicId = (filePath) => path.relative(uploadDir, filePath).split(path.sep).join('/');
+
+const sign = (publicId, expires) => {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${publicId}:${expires}`)
+    .digest('hex');
+};
+
+exports.uploadDir = uploadDir;
+
+// build a multer disk storage engine that writes into a folder under the upload directory
+exports.createEngine = ({ folder, publicId }) => {
+  return multer.diskStorage({
+    destination: (req, file, cb) => {
+      const target = resolvePath(typeof folder === 'function' ? folder(req, file) : folder);
+      if (!target) {
+        return cb(new Error('Invalid upload folder'));
+      }
+      fs.mkdir(target, { recursive: true }, (error) => cb(error, target));
+    },
+    filename: (req, file, cb) => {
+      cb(null, publicId(req, file) + path.extname(file.originalname).toLowerCase());
+    }
+  });
+};
+
+// normalize a file multer stored through this driver
+exports.describeFile = (file) => {
+  const publicId = toPublicId(file.path);
+  return {
+    fileName: file.originalname,
+    fileType: file.mimetype,
+    fileSize: file.size,
+    format: path.extname(file.originalname).slice(1).toLowerCase(),
+    publicId
+  };
+};
+
+// delete a file, returns false when it doesn't exist
+exports.deleteFile = async (publicId) => {
+  const filePath = resolvePath(publicId);
+  if (!filePath) {
+    return false;
+  }
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// fetch file metadata, returns null when it doesn't exist
+exports.getFileInfo = async (publicId) => {
+  const filePath = resolvePath(publicId);
+  if (!filePath) {
+    return null;
+  }
+
+  try {
+    const stats = await fs.promises.stat(filePath);
+    const format = path.extname(filePath).slice(1).toLowerCase();
+    return {
+      publicId,
+      format,
+      fileType: IMAGE_EXTENSIONS.includes(format) ? 'image' : 'raw',
+      fileSize: stats.size,
+      createdAt: stats.birthtime
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// signed download URL that stops working after expiresIn seconds
+exports.getSignedUrl = async (publicId, { expiresIn }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${baseUrl}/${publicId}?expires=${expires}&signature=${sign(publicId, expires)}`;
+};
+
+// middleware for /uploads that only serves files with a valid, unexpired signature
+exports.serveFiles = () => {
+  const serveStatic = express.static(uploadDir, { index: false });
+
+  return (req, res, next) => {
+    const publicId = decodeURIComponent(req.path).replace(/^\//, '');
+    const expires = parseInt(req.query.expires, 10);
+    const signature = String(req.query.signature || '');
+    const expected = sign(publicId, expires);
+
+    const isValid = expires > Math.floor(Date.now() / 1000) &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!isValid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    serveStatic(req, res, next);
+  };
+};
@@ -0,0 +1,68 @@
+// largest LCS table diffLines will build (about 4 MB); bigger inputs get a coarse diff
+const MAX_LCS_CELLS = 1000000;
+
+// line-based diff of two texts using longest common subsequence
+// returns [{ type: 'unchanged' | 'added' | 'removed', line }]
+exports.diffLines = (oldText, newText) => {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // unchanged lines at the start and end don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = a.slice(0, start).map(line => ({ type: 'unchanged', line }));
+  const n = endA - start;
+  const m = endB - start;
+  const width = m + 1;
+
+  if ((n + 1) * width > MAX_LCS_CELLS) {
+    // too big to compare line by line: show the changed middle as replaced
+    a.slice(start, endA).forEach(line => changes.push({ type: 'removed', line }));
+    b.slice(start, endB).forEach(line => changes.push({ type: 'added', line }));
+  } else {
+    // lcs[i * width + j] = length of LCS of the middle parts from a[i..] and b[j..]
+    const lcs = new Int32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        changes.push({ type: 'unchanged', line: a[start + i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        changes.push({ type: 'removed', line: a[start + i] });
+        i++;
+      } else {
+        changes.push({ type: 'added', line: b[start + j] });
+        j++;
+      }
+    }
+    while (i < n) {
+      changes.push({ type: 'removed', line: a[start + i++] });
+    }
+    while (j < m) {
+      changes.push({ type: 'added', line: b[start + j++] });
+    }
+  }
+
+  a.slice(endA).forEach(line => changes.push({ type: 'unchanged', line }));
+
+  return changes;
+};
@@ -0,0 +1,94 @@
+// classroom-scoped roles and what each one may do
+// every "can this user do X in this classroom" check goes through can()
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'view',
+    'grade',
+    'viewGradebook',
+    'manageAssignments',
+    'manageContent',
+    'manageExtensions',
+    'manageGrading',
+    'manageClassroom',
+    'manageStaff',
+    'transferOwnership',
+    'deleteClassroom'
+  ],
+  'co-teacher': [
+    'view',
+    'grade',
+    'viewGradebook',
+    'manageAssignments',
+    'manageContent',
+    'manageExtensions',
+    'manageGrading',
+    'manageClassroom'
+  ],
+  ta: [
+    'view',
+    'grade',
+    'viewGradebook'
+  ],
+  student: [
+    'view'
+  ]
+};
+
+const STAFF_ROLES = ['owner', 'co-teacher', 'ta'];
+
+// ids may be ObjectIds, strings or populated documents
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// the user's role in the classroom, or null if they don't belong to it
+const roleIn = (classroom, userId) => {
+  if (!classroom || !userId) return null;
+  const id = idOf(userId);
+
+  if (idOf(classroom.teacher) === id) return 'owner';
+
+  const member = (classroom.staff || []).find(entry => idOf(entry.user) === id);
+  if (member) return member.role;
+
+  if ((classroom.students || []).some(student => idOf(student) === id)) return 'student';
+
+  return null;
+};
+
+// whether the user may perform `permission` in the classroom
+const can = (classroom, userId, permission) => {
+  const role = roleIn(classroom, userId);
+  return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// owner, co-teacher or TA
+const isStaff = (classroom, userId) => STAFF_ROLES.includes(roleIn(classroom, userId));
+
+// ids of staff members holding a permission (e.g. who to tell about a new submission)
+const staffWith = (classroom, permission) => {
+  const members = [
+    { user: classroom.teacher, role: 'owner' },
+    ...(classroom.staff || [])
+  ];
+  return members
+    .filter(member => ROLE_PERMISSIONS[member.role].includes(permission))
+    .map(member => member.user._id || member.user);
+};
+
+// archived classrooms are read-only for everyone
+const isArchived = (classroom) => Boolean(classroom) && classroom.isActive === false;
+
+// query for classrooms the user runs (as owner, co-teacher or TA)
+const staffFilter = (userId) => ({
+  $or: [{ teacher: userId }, { 'staff.user': userId }]
+});
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  roleIn,
+  can,
+  isStaff,
+  staffWith,
+  staffFilter,
+  isArchived
+};
@@ -0,0 +1,89 @@
+// highest number of points a criterion can award
+const criterionMaxPoints = (criterion) => {
+  return criterion.levels.reduce((max, level) => Math.max(max, level.points), 0);
+};
+
+// check a rubric is usable, returns an error message or null
+exports.validateRubric = (rubric, totalPoints) => {
+  if (!rubric || rubric.length === 0) {
+    return null;
+  }
+
+  if (!Array.isArray(rubric)) {
+    return 'Rubric must be an array of criteria';
+  }
+
+  for (const criterion of rubric) {
+    if (!criterion.title) {
+      return 'Every rubric criterion needs a title';
+    }
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return `Criterion '${criterion.title}' needs at least one performance level`;
+    }
+    if (criterion.levels.some(level => typeof level.points !== 'number' || level.points < 0)) {
+      return `Criterion '${criterion.title}' has a level with invalid points`;
+    }
+  }
+
+  const rubricTotal = rubric.reduce((sum, criterion) => sum + criterionMaxPoints(criterion), 0);
+  if (rubricTotal > totalPoints) {
+    return `Rubric is worth ${rubricTotal} points but the assignment only has ${totalPoints}`;
+  }
+
+  return null;
+};
+
+// score every criterion of a rubric
+// scores: [{ criterion, level?, points?, comment? }], a level sets the points unless points are given
+// returns { error } or { scores, total }
+exports.scoreRubric = (rubric, scores, totalPoints) => {
+  if (!Array.isArray(scores)) {
+    return { error: 'Rubric scores must be an array' };
+  }
+
+  const result = [];
+
+  for (const criterion of rubric) {
+    const score = scores.find(item => String(item.criterion) === criterion._id.toString());
+
+    if (!score) {
+      return { error: `Please score the criterion '${criterion.title}'` };
+    }
+
+    const maxPoints = criterionMaxPoints(criterion);
+    let level;
+    let points = score.points;
+
+    if (score.level) {
+      level = criterion.levels.find(item => item._id.toString() === String(score.level));
+      if (!level) {
+        return { error: `Unknown level for criterion '${criterion.title}'` };
+      }
+      if (points === undefined || points === null) {
+        points = level.points;
+      }
+    }
+
+    if (typeof points !== 'number' || points < 0 || points > maxPoints) {
+      return { error: `Points for '${criterion.title}' must be between 0 and ${maxPoints}` };
+    }
+
+    result.push({
+      criterion: criterion._id,
+      criterionTitle: criterion.title,
+      level: level ? level._id : undefined,
+      levelTitle: level ? level.title : undefined,
+      points,
+      maxPoints,
+      comment: score.comment
+    });
+  }
+
+  const total = Math.round(result.reduce((sum, item) => sum + item.points, 0) * 100) / 100;
+
+  if (total > totalPoints) {
+    return { error: `Rubric total of ${total} exceeds the assignment's ${totalPoints} points` };
+  }
+
+  return { scores: result, total };
+};
@@ -0,0 +1,152 @@
+const ExcelJS = require('exceljs');
+
+// text a spreadsheet app would run as a formula (=, +, -, @, tab or carriage return first)
+const isFormulaLike = (value) => typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+
+// quote a CSV value when it contains a delimiter, quote or newline;
+// formula-like text gets a leading ' so it opens as plain text
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (isFormulaLike(value)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// XLSX cells keep numbers, dates and booleans; anything else is written as a text cell
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value;
+  return String(value);
+};
+
+// turn a header row and data rows into CSV text
+exports.toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsv).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// parse CSV text into an array of objects keyed by lowercased header
+// each record also has a non-enumerable `line`: its row number in the file,
+// counting blank lines, so reports match what a spreadsheet app shows
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // strip a UTF-8 byte order mark left by spreadsheet apps
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop blank lines, keeping each row's original line number
+  const nonEmpty = rows
+    .map((cells, index) => ({ cells, line: index + 1 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].cells.map(header => header.trim().toLowerCase());
+  return nonEmpty.slice(1).map(({ cells, line }) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (cells[index] || '').trim();
+    });
+    Object.defineProperty(record, 'line', { value: line });
+    return record;
+  });
+};
+
+// build an XLSX workbook with a single sheet
+// highlights: optional (rowIndex, columnIndex) => ARGB fill colour or null
+exports.toXlsx = async (sheetName, headers, rows, highlights) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  sheet.addRow(headers);
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  rows.forEach((values, rowIndex) => {
+    const row = sheet.addRow(values.map(toCellValue));
+
+    // formula-like text is formatted as text so it is never evaluated
+    values.forEach((value, columnIndex) => {
+      if (isFormulaLike(value)) {
+        row.getCell(columnIndex + 1).numFmt = '@';
+      }
+    });
+
+    if (!highlights) return;
+
+    values.forEach((value, columnIndex) => {
+      const color = highlights(rowIndex, columnIndex);
+      if (color) {
+        row.getCell(columnIndex + 1).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: color }
+        };
+      }
+    });
+  });
+
+  sheet.columns.forEach(column => {
+    column.width = 16;
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// send a CSV or XLSX file download
+exports.sendSpreadsheet = async (res, format, fileName, { sheetName, headers, rows, highlights }) => {
+  const safeName = fileName.replace(/[^\w.-]+/g, '_');
+
+  if (format === 'xlsx') {
+    const buffer = await exports.toXlsx(sheetName, headers, rows, highlights);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.xlsx"`);
+    return res.status(200).send(Buffer.from(buffer));
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.csv"`);
+  return res.status(200).send(exports.toCsv(headers, rows));
+};